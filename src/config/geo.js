@@ -0,0 +1,22 @@
+/**
+ * Hop geolocation checks.
+ * RDNS_HINT_MIN_CONFIDENCE=0.6   router hostname hints below this are reported, never applied
+ * GEO_RTT_TOLERANCE_MS=5         slack for queueing / ICMP slow path before a location is impossible
+ * GEO_INVALID_LOCATION=relocate  relocate (nearest consistent neighbour) | drop (clear coordinates)
+ */
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const geoConfig = {
+  rdnsHintMinConfidence: envFloat('RDNS_HINT_MIN_CONFIDENCE', 0.6),
+
+  // Light in fibre covers ~200 km per ms one way (refractive index ~1.5)
+  fibreKmPerMs: 200,
+  rttToleranceMs: envFloat('GEO_RTT_TOLERANCE_MS', 5),
+  invalidLocation: process.env.GEO_INVALID_LOCATION === 'drop' ? 'drop' : 'relocate'
+};
+
+module.exports = geoConfig;
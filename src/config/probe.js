@@ -0,0 +1,50 @@
+/**
+ * Probe option defaults and server-side bounds for POST /api/trace `options`.
+ * Every limit can be tightened through the environment.
+ */
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const probeConfig = {
+  // auto: in-process raw-socket prober when available, else mtr/traceroute
+  // cli: always shell out to the system tools
+  engine: (process.env.PROBE_ENGINE || 'auto').toLowerCase(),
+
+  // Protocols clients may request (PROBE_PROTOCOLS=icmp,udp to disable TCP)
+  protocols: (process.env.PROBE_PROTOCOLS || 'icmp,udp,tcp')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(Boolean),
+
+  defaults: {
+    protocol: process.env.PROBE_DEFAULT_PROTOCOL || 'icmp',
+    port: null, // per protocol, see defaultPorts
+    maxHops: envInt('PROBE_DEFAULT_MAX_HOPS', 30),
+    firstTtl: 1,
+    probes: envInt('PROBE_DEFAULT_PROBES', 3),
+    timeoutMs: envInt('PROBE_DEFAULT_TIMEOUT_MS', 2000),
+    packetSize: null // tool default
+  },
+
+  // Upper bound for traceAddresses (POST /api/trace with traceAddresses)
+  maxParallelAddresses: envInt('PROBE_MAX_PARALLEL_ADDRESSES', 4),
+
+  defaultPorts: {
+    udp: 33434,
+    tcp: 80
+  },
+
+  limits: {
+    port: { min: 1, max: 65535 },
+    maxHops: { min: 1, max: envInt('PROBE_MAX_HOPS', 64) },
+    firstTtl: { min: 1, max: envInt('PROBE_MAX_FIRST_TTL', 30) },
+    probes: { min: 1, max: envInt('PROBE_MAX_PROBES', 10) },
+    timeoutMs: { min: 100, max: envInt('PROBE_MAX_TIMEOUT_MS', 5000) },
+    packetSize: { min: 28, max: envInt('PROBE_MAX_PACKET_SIZE', 1500) }
+  }
+};
+
+module.exports = probeConfig;
@@ -0,0 +1,28 @@
+/**
+ * DNS resolvers clients may pick for target resolution and PTR lookups.
+ * DNS_RESOLVER_PRESETS adds or overrides presets:
+ *   DNS_RESOLVER_PRESETS=corp=10.0.0.53,10.0.0.54;google=8.8.8.8
+ * DNS_ALLOW_CUSTOM_RESOLVER=true lets clients name any public resolver
+ * address (port 53 only); off by default so the API can't be pointed at
+ * arbitrary hosts and ports.
+ */
+
+const presets = {
+  google: ['8.8.8.8', '8.8.4.4'],
+  cloudflare: ['1.1.1.1', '1.0.0.1'],
+  quad9: ['9.9.9.9', '149.112.112.112'],
+  opendns: ['208.67.222.222', '208.67.220.220']
+};
+
+for (const entry of (process.env.DNS_RESOLVER_PRESETS || '').split(';')) {
+  const [name, servers] = entry.split('=');
+  if (!name || !servers) continue;
+  presets[name.trim().toLowerCase()] = servers.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = {
+  presets,
+  // Accept arbitrary resolver addresses from clients (presets are always allowed)
+  allowCustom: process.env.DNS_ALLOW_CUSTOM_RESOLVER === 'true',
+  timeoutMs: parseInt(process.env.DNS_RESOLVER_TIMEOUT_MS, 10) || 3000
+};
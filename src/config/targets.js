@@ -0,0 +1,14 @@
+/**
+ * Which trace targets need an admin allowlist entry.
+ * INTERNAL_TARGETS=nas,build01,10.0.0.0/8,fd00::/8
+ *   names  - internal hostnames, single- or multi-label (resolved through the system resolver)
+ *   IPs / CIDRs - private, loopback and link-local addresses, whether given
+ *                 directly or resolved from a public name
+ */
+
+const internalTargets = (process.env.INTERNAL_TARGETS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = { internalTargets };
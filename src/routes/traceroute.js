@@ -2,38 +2,205 @@
 const express = require('express');
 const router = express.Router();
 const tracerouteService = require('../services/tracerouteService');
-const { db } = require('../config/supabase');
-const NodeCache = require('node-cache');
+const asnService = require('../services/asnService');
+const routeDiffService = require('../services/routeDiffService');
+const cableService = require('../services/cableService');
+const { db } = require('../storage');
+const { createCache, getCacheStats, flushAllCaches } = require('../utils/cache');
+const probeConfig = require('../config/probe');
+const TargetUtils = require('../utils/target');
+const IPUtils = require('../utils/ip');
+const DnsResolvers = require('../utils/dnsResolver');
 
 // Cache for 1 hour
-const cache = new NodeCache({ stdTTL: 3600 });
+const cache = createCache('traces', { ttl: 60 * 60 * 1000, maxEntries: 1000 });
+
+/**
+ * Validate trace parameters shared by the POST and streaming endpoints
+ * domain may be a domain (IDN allowed), an IP literal or an allowlisted internal name
+ * Returns { target } (see TargetUtils.parse) or { error } with an error body
+ */
+function validateTraceParams(domain, ipVersion) {
+  const { target, error } = TargetUtils.parse(domain);
+  if (error) return { error };
+
+  // Validate IP version
+  if (!['4', '6', 'auto'].includes(String(ipVersion))) {
+    return {
+      error: {
+        error: 'Invalid ipVersion',
+        ipVersion,
+        allowed: [4, 6, 'auto']
+      }
+    };
+  }
+
+  if (target.type === 'ip' && String(ipVersion) !== 'auto' && String(target.family) !== String(ipVersion)) {
+    return {
+      error: {
+        error: `Target is an IPv${target.family} address but ipVersion ${ipVersion} was requested`,
+        domain,
+        ipVersion
+      }
+    };
+  }
+
+  return { target };
+}
+
+const probeOptionKeys = ['protocol', 'port', 'maxHops', 'firstTtl', 'probes', 'timeoutMs', 'packetSize'];
+
+/**
+ * Validate probe options against the server-side bounds (config/probe.js)
+ * Accepts numbers or numeric strings (query parameters on /stream)
+ * Returns { options } with unset values left out, or { error } with an error body
+ */
+function validateProbeOptions(raw) {
+  if (raw == null) return { options: {} };
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: { error: 'options must be an object', allowed: probeOptionKeys } };
+  }
+
+  const unknown = Object.keys(raw).filter(key => !probeOptionKeys.includes(key));
+  if (unknown.length > 0) {
+    return { error: { error: 'Unknown probe option', options: unknown, allowed: probeOptionKeys } };
+  }
+
+  const options = {};
+
+  if (raw.protocol != null) {
+    const protocol = String(raw.protocol).toLowerCase();
+    if (!probeConfig.protocols.includes(protocol)) {
+      return {
+        error: { error: 'Invalid protocol', protocol: raw.protocol, allowed: probeConfig.protocols }
+      };
+    }
+    options.protocol = protocol;
+  }
+
+  for (const key of probeOptionKeys.filter(k => k !== 'protocol')) {
+    if (raw[key] == null || raw[key] === '') continue;
+
+    const value = Number(raw[key]);
+    const { min, max } = probeConfig.limits[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: { error: `Invalid ${key}`, [key]: raw[key], min, max } };
+    }
+    options[key] = value;
+  }
+
+  if (options.port != null && (options.protocol || probeConfig.defaults.protocol) === 'icmp') {
+    return { error: { error: 'port requires protocol udp or tcp', port: options.port } };
+  }
+
+  const firstTtl = options.firstTtl ?? probeConfig.defaults.firstTtl;
+  const maxHops = options.maxHops ?? probeConfig.defaults.maxHops;
+  if (firstTtl > maxHops) {
+    return { error: { error: 'firstTtl must not exceed maxHops', firstTtl, maxHops } };
+  }
+
+  return { options };
+}
+
+/**
+ * Validate traceAddresses: 1 (default), a count up to the server limit, or 'all'
+ * Returns { addresses } or { error } with an error body
+ */
+function validateTraceAddresses(value) {
+  if (value == null || value === '') return { addresses: 1 };
+  if (value === 'all') return { addresses: 'all' };
+
+  const addresses = Number(value);
+  const max = probeConfig.maxParallelAddresses;
+  if (!Number.isInteger(addresses) || addresses < 1 || addresses > max) {
+    return {
+      error: { error: 'Invalid traceAddresses', traceAddresses: value, min: 1, max, allowed: 'all' }
+    };
+  }
+  return { addresses };
+}
+
+/**
+ * Cache key for a trace: same target, family, flow mode, probe settings,
+ * DNS detail, resolver and number of traced addresses
+ */
+function traceCacheKey(domain, { ipVersion, paris, probe, dnsDetails = false, resolver = null, addresses = 1 }) {
+  const resolved = tracerouteService.resolveProbeOptions(probe);
+  const probeKey = probeOptionKeys.map(key => resolved[key] ?? '').join(':');
+  const resolverKey = DnsResolvers.isSystem(resolver) ? '' : `_r${resolver.servers.join(',')}`;
+  return `trace_${domain}_v${ipVersion}${paris ? '_paris' : ''}${dnsDetails ? '_dns' : ''}${resolverKey}_a${addresses}_${probeKey}`;
+}
+
+/**
+ * Persist a finished trace (non-blocking)
+ */
+function saveTrace(result, sourceIp) {
+  // Keep it addressable by id even before (or without) the database write
+  cache.set(`id_${result.traceId}`, result);
+
+  db.saveTraceRequest({
+    traceId: result.traceId,
+    result,
+    domain: result.domain,
+    sourceIp,
+    totalHops: result.totalHops,
+    totalDistance: result.totalDistance,
+    totalTime: result.totalTime,
+    hasCdn: result.hasCdn,
+    cdnProvider: result.cdnProvider,
+    targetIp: result.targetIp,
+    ipVersion: result.ipVersion,
+    protocol: result.probeOptions?.protocol
+  }).catch(err => console.error('DB save failed:', err.message));
+}
 
 /**
  * POST /api/trace
  * Main traceroute endpoint
+ * Body: domain, ipVersion, paris, options (probe settings), dnsDetails,
+ * traceAddresses (trace several resolved addresses in parallel),
+ * resolver (preset name or server address for DNS and PTR lookups)
  */
 router.post('/', async (req, res) => {
   try {
-    const { domain } = req.body;
+    const { ipVersion = 'auto', paris = false, options, dnsDetails = false } = req.body;
 
-    if (!domain) {
-      return res.status(400).json({ 
-        error: 'Domain is required',
-        example: { domain: 'google.com' }
-      });
+    const params = validateTraceParams(req.body.domain, ipVersion);
+    if (params.error) {
+      return res.status(400).json(params.error);
     }
 
-    // Validate domain format
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-_.]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
-    if (!domainRegex.test(domain)) {
-      return res.status(400).json({ 
-        error: 'Invalid domain format',
-        domain: domain
-      });
+    // Traces are keyed and stored by the ASCII host (punycode for IDNs)
+    const { target } = params;
+    const domain = target.host;
+
+    const probe = validateProbeOptions(options);
+    if (probe.error) {
+      return res.status(400).json(probe.error);
+    }
+
+    const { addresses, error: addressesError } = validateTraceAddresses(req.body.traceAddresses);
+    if (addressesError) {
+      return res.status(400).json(addressesError);
     }
 
+    const { resolver, error: resolverError } = DnsResolvers.parse(req.body.resolver);
+    if (resolverError) {
+      return res.status(400).json(resolverError);
+    }
+
+    const traceOptions = {
+      ipVersion: String(ipVersion),
+      paris: paris === true,
+      probe: probe.options,
+      target,
+      dnsDetails: dnsDetails === true,
+      resolver
+    };
+
     // Check cache
-    const cacheKey = `trace_${domain}`;
+    const cacheKey = traceCacheKey(domain, { ...traceOptions, addresses });
     const cached = cache.get(cacheKey);
     if (cached) {
       console.log(`✅ Cache hit for ${domain}`);
@@ -42,13 +209,32 @@ router.post('/', async (req, res) => {
 
     console.log(`🔍 Starting trace for: ${domain}`);
 
+    // Several addresses: one trace per address, grouped in a single response
+    if (addresses !== 1) {
+      const multi = await tracerouteService.traceAddresses(domain, { ...traceOptions, addresses });
+
+      if (!multi.success) {
+        return res.status(multi.status || 500).json(multi);
+      }
+
+      multi.results
+        .filter(entry => entry.result.success)
+        .forEach(entry => saveTrace(entry.result, req.ip));
+
+      cache.set(cacheKey, multi);
+      return res.json(multi);
+    }
+
     // Run traceroute
-    const result = await tracerouteService.traceRoute(domain);
+    const result = await tracerouteService.traceRoute(domain, traceOptions);
 
     if (result.error) {
-      return res.status(500).json({ 
+      // 400 when the resolved addresses are private and not allowlisted
+      return res.status(result.status || 500).json({ 
         error: result.error,
-        domain: domain
+        domain: domain,
+        addresses: result.addresses,
+        diagnostics: result.diagnostics
       });
     }
 
@@ -56,15 +242,7 @@ router.post('/', async (req, res) => {
     cache.set(cacheKey, result);
 
     // Save to database (non-blocking)
-    db.saveTraceRequest({
-      domain: result.domain,
-      sourceIp: req.ip,
-      totalHops: result.totalHops,
-      totalDistance: result.totalDistance,
-      totalTime: result.totalTime,
-      hasCdn: result.hasCdn,
-      cdnProvider: result.cdnProvider
-    }).catch(err => console.error('DB save failed:', err.message));
+    saveTrace(result, req.ip);
 
     res.json(result);
 
@@ -77,14 +255,181 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trace/stream?domain=&ipVersion=&paris=&dnsDetails=&resolver=
+ * Probe options as query parameters: protocol, port, maxHops, firstTtl, probes, timeoutMs, packetSize
+ * Live traceroute over Server-Sent Events
+ * Events: resolved, hop, enriched, geoFlag, cable, summary, error
+ *   geoFlag - an enriched hop whose location its RTT rules out, sent again
+ *     after validation with geoConfidence and
+ *     geoFlag: { reason: 'speed-of-light', conflicts (hop numbers), action: 'relocated' | 'dropped',
+ *                relocatedTo (hop number or null), original (location before the fix) }
+ */
+router.get('/stream', async (req, res) => {
+  const { ipVersion = 'auto' } = req.query;
+  const paris = req.query.paris === 'true';
+  const dnsDetails = req.query.dnsDetails === 'true';
+
+  const params = validateTraceParams(req.query.domain, ipVersion);
+  if (params.error) {
+    return res.status(400).json(params.error);
+  }
+
+  const { target } = params;
+  const domain = target.host;
+
+  const rawProbe = {};
+  for (const key of probeOptionKeys) {
+    if (req.query[key] != null) rawProbe[key] = req.query[key];
+  }
+  const probe = validateProbeOptions(rawProbe);
+  if (probe.error) {
+    return res.status(400).json(probe.error);
+  }
+
+  const { resolver, error: resolverError } = DnsResolvers.parse(req.query.resolver);
+  if (resolverError) {
+    return res.status(400).json(resolverError);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop the probe if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`🛑 Stream client disconnected for ${domain}`);
+      controller.abort();
+    }
+  });
+
+  try {
+    console.log(`📡 Starting streaming trace for: ${domain}`);
+
+    const result = await tracerouteService.streamTraceRoute(
+      domain,
+      { ipVersion: String(ipVersion), paris, probe: probe.options, target, dnsDetails, resolver, signal: controller.signal },
+      send
+    );
+
+    if (controller.signal.aborted) {
+      // Partial trace: nobody is listening, and it must not be cached or stored
+      console.log(`🛑 Dropped aborted trace for ${domain}`);
+    } else if (result.error) {
+      send('error', { error: result.error, domain, addresses: result.addresses, diagnostics: result.diagnostics });
+    } else {
+      cache.set(traceCacheKey(domain, { ipVersion, paris, probe: probe.options, dnsDetails, resolver }), result);
+      saveTrace(result, req.ip);
+    }
+  } catch (error) {
+    console.error('Stream trace error:', error);
+    send('error', { error: 'Traceroute failed', message: error.message });
+  }
+
+  res.end();
+});
+
+const analyticsWindows = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Per-domain trace analytics shared by /analytics/domains and /popular
+ * Query: window=24h|7d|30d (default 7d), limit (1-100, default 10), page (default 1)
+ */
+async function getDomainAnalytics(query) {
+  const window = query.window || '7d';
+  if (!analyticsWindows[window]) {
+    return {
+      error: {
+        error: 'Invalid window',
+        window,
+        allowed: Object.keys(analyticsWindows)
+      }
+    };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const since = new Date(Date.now() - analyticsWindows[window]).toISOString();
+
+  const { domains, total } = await db.getDomainStats({
+    since,
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    window,
+    since,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    domains
+  };
+}
+
+/**
+ * GET /api/trace/analytics/domains?window=7d&limit=10&page=1
+ * Trace counts, average hops/RTT/distance and CDN share per domain
+ */
+router.get('/analytics/domains', async (req, res) => {
+  try {
+    const analytics = await getDomainAnalytics(req.query);
+    if (analytics.error) return res.status(400).json(analytics.error);
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/trace/popular
- * Get most traced domains
+ * Get most traced domains (same query parameters as /analytics/domains)
+ * Entries keep the original { domain, count } next to the analytics fields
  */
 router.get('/popular', async (req, res) => {
   try {
-    const popular = await db.getPopularDomains(10);
-    res.json({ popular });
+    const { domains, ...analytics } = await getDomainAnalytics(req.query);
+    if (analytics.error) return res.status(400).json(analytics.error);
+    res.json({
+      ...analytics,
+      popular: domains.map(entry => ({ ...entry, count: entry.traceCount }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trace/history?domain=&limit=&offset=
+ * Stored trace summaries, newest first
+ */
+router.get('/history', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const traces = await db.getTraceHistory({
+      domain: req.query.domain ? TargetUtils.normalize(req.query.domain) : undefined,
+      limit,
+      offset
+    });
+    res.json({ traces, limit, offset, storage: db.name });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -93,8 +438,16 @@ router.get('/popular', async (req, res) => {
 /**
  * GET /api/trace/clear-cache
  * Clear cache (admin endpoint)
+ * ?scope=all also clears geo, ASN and cable caches
  */
 router.get('/clear-cache', (req, res) => {
+  if (req.query.scope === 'all') {
+    return res.json({
+      message: 'All caches cleared',
+      clearedKeys: flushAllCaches()
+    });
+  }
+
   const keys = cache.keys();
   cache.flushAll();
   res.json({ 
@@ -103,4 +456,181 @@ router.get('/clear-cache', (req, res) => {
   });
 });
 
+/**
+ * GET /api/trace/cache-stats
+ * Hit/miss statistics for every cache namespace
+ */
+router.get('/cache-stats', (req, res) => {
+  res.json({ caches: getCacheStats() });
+});
+
+/**
+ * POST /api/trace/reload-asn
+ * Reload the local prefix-to-ASN dataset (admin endpoint)
+ */
+router.post('/reload-asn', async (req, res) => {
+  if (!asnService.datasetPath) {
+    return res.status(400).json({
+      error: 'No ASN dataset configured',
+      hint: 'Set ASN_DATASET_PATH to an iptoasn TSV or prefix,asn CSV file'
+    });
+  }
+
+  try {
+    const info = await asnService.reloadDataset();
+    res.json({
+      message: 'ASN dataset reloaded',
+      dataset: info
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'ASN dataset reload failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/trace/refresh-cables
+ * Re-download the submarine cable dataset and replace the on-disk snapshot (admin endpoint)
+ */
+router.post('/refresh-cables', async (req, res) => {
+  try {
+    const dataset = await cableService.refreshData();
+    res.json({
+      message: 'Cable dataset refreshed',
+      dataset
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: 'Cable dataset refresh failed',
+      message: error.message,
+      dataset: cableService.datasetInfo()
+    });
+  }
+});
+
+const traceIdRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Stored trace by id (cache first, then database)
+ */
+async function findTrace(id) {
+  return cache.get(`id_${id}`) || await db.getTraceById(id);
+}
+
+/**
+ * GET /api/trace/:domain/changes?from=&to=&targetIp=&ipVersion=
+ * Route diff between two stored traces of a domain
+ * Defaults to latest vs previous trace of the same address, family and
+ * probe protocol (targetIp / ipVersion narrow down which "latest");
+ * from/to pick specific trace ids
+ */
+router.get('/:domain/changes', async (req, res) => {
+  const { from, to, targetIp, ipVersion = 'auto' } = req.query;
+
+  const params = validateTraceParams(req.params.domain, ipVersion);
+  if (params.error) {
+    return res.status(400).json(params.error);
+  }
+
+  const domain = params.target.host;
+
+  if (targetIp != null && (!IPUtils.family(targetIp) ||
+      (ipVersion !== 'auto' && String(IPUtils.family(targetIp)) !== String(ipVersion)))) {
+    return res.status(400).json({
+      error: 'targetIp must be an IP address of the requested ipVersion',
+      targetIp,
+      ipVersion
+    });
+  }
+
+  try {
+    let previous;
+    let current;
+
+    if (from || to) {
+      if (!traceIdRegex.test(from || '') || !traceIdRegex.test(to || '')) {
+        return res.status(400).json({
+          error: 'Both from and to must be trace ids',
+          from,
+          to
+        });
+      }
+
+      [previous, current] = await Promise.all([findTrace(from), findTrace(to)]);
+
+      if (!previous || !current || previous.domain !== domain || current.domain !== domain) {
+        return res.status(404).json({
+          error: 'Trace not found for this domain',
+          domain,
+          from,
+          to
+        });
+      }
+    } else {
+      [current] = await db.getLatestTraces(domain, 1, {
+        targetIp: targetIp && targetIp.toLowerCase(),
+        ipVersion: ipVersion === 'auto' ? null : Number(ipVersion)
+      });
+
+      // Only a trace of the same address, family and protocol is comparable;
+      // multi-address runs store one trace per address (sharing a groupId),
+      // so sibling paths of one run are never diffed against each other
+      const latest = current
+        ? await db.getLatestTraces(domain, 2, {
+          targetIp: current.targetIp,
+          ipVersion: current.ipVersion,
+          protocol: current.probeOptions?.protocol
+        })
+        : [];
+
+      if (latest.length < 2) {
+        return res.status(404).json({
+          error: 'At least two comparable stored traces are needed to detect changes',
+          domain,
+          targetIp: current ? current.targetIp : targetIp || null,
+          storedTraces: latest.length
+        });
+      }
+
+      [current, previous] = latest;
+    }
+
+    res.json(routeDiffService.compareTraces(previous, current));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trace/:id
+ * Fetch a stored trace exactly as it was returned
+ */
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!traceIdRegex.test(id)) {
+    return res.status(400).json({
+      error: 'Invalid trace id',
+      id
+    });
+  }
+
+  try {
+    const result = await findTrace(id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Trace not found',
+        id
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
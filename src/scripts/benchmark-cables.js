@@ -0,0 +1,119 @@
+/**
+ * Cable matching benchmark: grid index vs. brute-force scan of every segment
+ *   npm run bench-cables [-- queries]
+ * Uses the on-disk cable snapshot when present, else a synthetic dataset.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+process.env.CABLE_OFFLINE = 'true';
+
+const cableService = require('../services/cableService');
+
+const QUERIES = parseInt(process.argv[2] || '200', 10);
+
+// Small deterministic PRNG so runs are comparable
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * ~500 random-walk cables of 1-3 parts, roughly the size of the real dataset
+ */
+function syntheticDataset(rand) {
+  const cables = [];
+
+  for (let id = 0; id < 500; id++) {
+    const parts = [];
+    for (let p = 0, count = 1 + Math.floor(rand() * 3); p < count; p++) {
+      let lat = -60 + rand() * 120;
+      let lon = -170 + rand() * 340;
+      const line = [[lon, lat]];
+      for (let i = 0; i < 40; i++) {
+        lat = Math.max(-70, Math.min(70, lat + (rand() - 0.5) * 4));
+        lon = Math.max(-179, Math.min(179, lon + (rand() - 0.5) * 6));
+        line.push([lon, lat]);
+      }
+      parts.push(line);
+    }
+
+    cables.push({
+      type: 'Feature',
+      properties: { id: `synthetic-${id}`, name: `Synthetic ${id}` },
+      geometry: { type: 'MultiLineString', coordinates: parts }
+    });
+  }
+
+  return {
+    version: 'synthetic',
+    fetchedAt: new Date().toISOString(),
+    cables,
+    landingPoints: [],
+    cableMetadata: []
+  };
+}
+
+/**
+ * The pre-index matcher, extended to every MultiLineString part
+ */
+function linearMatch(lat1, lon1, lat2, lon2) {
+  let best = null;
+  for (const cable of cableService.cables) {
+    for (const line of cableService.cableLines(cable)) {
+      const distance = cableService.calculateRouteProximity(lat1, lon1, lat2, lon2, line);
+      if (distance < 200 && (!best || distance < best.distance)) best = { cable, distance };
+    }
+  }
+  return best;
+}
+
+function time(fn, queries) {
+  const started = process.hrtime.bigint();
+  const results = queries.map(q => fn(q.lat1, q.lon1, q.lat2, q.lon2));
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  return { results, ms };
+}
+
+async function main() {
+  await cableService.initPromise;
+  const rand = random(42);
+
+  if (cableService.cables.length === 0) {
+    console.log('📭 No cable snapshot - using a synthetic dataset');
+    cableService.useDataset(syntheticDataset(rand), 'synthetic');
+  }
+
+  // Route pairs a few hundred km apart, anywhere cables may run
+  const queries = Array.from({ length: QUERIES }, () => {
+    const lat1 = -60 + rand() * 120;
+    const lon1 = -170 + rand() * 340;
+    return { lat1, lon1, lat2: lat1 + (rand() - 0.5) * 10, lon2: lon1 + (rand() - 0.5) * 20 };
+  });
+
+  const linear = time(linearMatch, queries);
+  const indexed = time((...args) => cableService.findMatchingCable(...args), queries);
+
+  const agree = queries.filter((q, i) => {
+    const a = linear.results[i];
+    const b = indexed.results[i];
+    return (!a && !b) || (a && b && Math.abs(a.distance - b.distance) < 0.001);
+  }).length;
+
+  console.log(`\n🌊 ${cableService.cables.length} cables, ${cableService.segmentIndex.size} indexed segments, ${QUERIES} queries`);
+  console.log(`   Linear scan: ${(linear.ms / QUERIES).toFixed(3)} ms/query`);
+  console.log(`   Grid index:  ${(indexed.ms / QUERIES).toFixed(3)} ms/query`);
+  console.log(`   Speedup:     ${(linear.ms / indexed.ms).toFixed(1)}x`);
+  console.log(`   Same match:  ${agree}/${QUERIES}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Benchmark failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+/**
+ * Refresh the on-disk submarine cable snapshot from submarinecablemap.com
+ *   npm run refresh-cables
+ * Writes CABLE_DATASET_PATH (default .data/submarine-cables.json).
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Only the refresh below should touch the network
+process.env.CABLE_OFFLINE = 'true';
+
+const cableService = require('../services/cableService');
+
+async function main() {
+  await cableService.initPromise;
+  const previous = cableService.datasetInfo();
+
+  const dataset = await cableService.refreshData();
+
+  console.log(`\n🌊 Cable dataset ${dataset.version}`);
+  console.log(`   ${dataset.cables} cables, ${dataset.landingPoints} landing points`);
+  console.log(`   Previous: ${previous.version || 'none'}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Cable dataset refresh failed: ${error.message}`);
+  process.exit(1);
+});
@@ -6,6 +6,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const tracerouteRoutes = require('./routes/traceroute');
+const { db } = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 5005;
@@ -16,6 +17,7 @@ console.log(`   PORT: ${process.env.PORT || '5005 (default)'}`);
 console.log(`   NODE_ENV: ${process.env.NODE_ENV || 'undefined'}`);
 console.log(`   SUPABASE_URL: ${process.env.SUPABASE_URL ? '✅ Loaded' : '❌ Missing'}`);
 console.log(`   SUPABASE_KEY: ${process.env.SUPABASE_KEY ? '✅ Loaded' : '❌ Missing'}`);
+console.log(`   STORAGE_BACKEND: ${process.env.STORAGE_BACKEND || 'auto'}`);
 
 // Middleware
 app.use(cors());
@@ -35,7 +37,9 @@ app.get('/api/health', (req, res) => {
     message: 'Packet Visualizer Backend Running',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    supabase: process.env.SUPABASE_URL ? 'connected' : 'disabled'
+    storage: db.enabled ? db.name : 'disabled',
+    // Kept for existing health checks that predate pluggable storage
+    supabase: db.enabled && db.name === 'supabase' ? 'connected' : 'disabled'
   });
 });
 
@@ -64,7 +68,7 @@ app.listen(PORT, () => {
   console.log(`\n🚀 Packet Visualizer Backend`);
   console.log(`📡 Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: ${process.env.SUPABASE_URL ? 'Supabase Connected ✅' : 'Database Disabled ⚠️'}`);
+  console.log(`🗄️  Database: ${db.enabled ? `${db.name} ✅` : 'Database Disabled ⚠️'}`);
   console.log(`⏰ Started at: ${new Date().toISOString()}\n`);
 });
 
@@ -0,0 +1,183 @@
+const asnService = require("./asnService");
+const Calculations = require("../utils/calculations");
+
+/**
+ * Collapse enriched hops into an AS-level path
+ */
+class ASPathService {
+
+  /**
+   * Build the AS path for enriched hops (output of enrichHops)
+   * Returns { asPath, loops, transitions }
+   */
+  analyze(hops) {
+    const asns = this.fillGaps(hops.map(hop => this.hopAsn(hop)));
+    const asPath = this.collapse(hops, asns);
+    const loops = this.findLoops(asPath);
+    const transitions = this.findTransitions(asPath);
+
+    return { asPath, loops, transitions };
+  }
+
+  /**
+   * "AS15169" for hops with a real ASN, null for unknown / timeout / private
+   */
+  hopAsn(hop) {
+    return hop.asn && /^AS\d+$/.test(hop.asn) ? hop.asn : null;
+  }
+
+  /**
+   * Fill runs of unknown hops when the hops on both sides share an ASN.
+   * Returns [{ asn, inferred }] aligned with the hops.
+   */
+  fillGaps(asns) {
+    const filled = asns.map(asn => ({ asn, inferred: false }));
+
+    let lastKnown = -1;
+    for (let i = 0; i < asns.length; i++) {
+      if (!asns[i]) continue;
+
+      if (lastKnown >= 0 && i - lastKnown > 1 && asns[lastKnown] === asns[i]) {
+        for (let j = lastKnown + 1; j < i; j++) {
+          filled[j] = { asn: asns[i], inferred: true };
+        }
+      }
+      lastKnown = i;
+    }
+
+    return filled;
+  }
+
+  /**
+   * Merge consecutive hops of the same ASN into path segments
+   */
+  collapse(hops, asns) {
+    const segments = [];
+    let previousExitRtt = 0;
+
+    for (let i = 0; i < hops.length; i++) {
+      const { asn, inferred } = asns[i];
+      if (!asn) continue;
+
+      const hop = hops[i];
+      let segment = segments[segments.length - 1];
+
+      if (!segment || segment.asn !== asn || segment.lastIndex < i - 1) {
+        if (segment) previousExitRtt = segment.exitRtt ?? previousExitRtt;
+
+        const asnNumber = parseInt(asn.slice(2), 10);
+        segment = {
+          asn,
+          asnNumber,
+          org: null,
+          role: asnService.getNetworkRole(asnNumber),
+          entryHop: hop.hop,
+          exitHop: hop.hop,
+          hops: [],
+          inferredHops: [],
+          entryRtt: null,
+          exitRtt: null,
+          rttContribution: null,
+          countries: [],
+          cities: [],
+          spanKm: 0,
+          loop: false,
+          lastIndex: i,
+          previousExitRtt,
+          located: []
+        };
+        segments.push(segment);
+      }
+
+      segment.exitHop = hop.hop;
+      segment.lastIndex = i;
+      segment.hops.push(hop.hop);
+      if (inferred) segment.inferredHops.push(hop.hop);
+
+      if (!inferred) {
+        if (!segment.org && hop.asnOrg && hop.asnOrg !== "Unknown") segment.org = hop.asnOrg;
+
+        if (hop.rtt != null && !hop.timeout) {
+          if (segment.entryRtt == null) segment.entryRtt = hop.rtt;
+          segment.exitRtt = hop.rtt;
+        }
+
+        if (hop.country && hop.country !== "Unknown" && !segment.countries.includes(hop.country)) {
+          segment.countries.push(hop.country);
+        }
+        if (hop.city && hop.city !== "Unknown" && !segment.cities.includes(hop.city)) {
+          segment.cities.push(hop.city);
+        }
+        if (hop.lat != null && hop.lon != null) segment.located.push(hop);
+      }
+    }
+
+    return segments.map(({ lastIndex, previousExitRtt, located, ...segment }) => {
+      // RTT added while inside this AS, relative to where the previous AS handed off
+      if (segment.exitRtt != null) {
+        segment.rttContribution =
+          Math.round(Math.max(0, segment.exitRtt - previousExitRtt) * 1000) / 1000;
+      }
+
+      for (let i = 0; i < located.length - 1; i++) {
+        segment.spanKm += Calculations.haversineDistance(
+          located[i].lat, located[i].lon, located[i + 1].lat, located[i + 1].lon
+        );
+      }
+      segment.spanKm = Math.round(segment.spanKm);
+
+      return segment;
+    });
+  }
+
+  /**
+   * ASNs that reappear after the path has left them
+   */
+  findLoops(asPath) {
+    const seen = new Map();
+    const loops = [];
+
+    asPath.forEach((segment, index) => {
+      if (seen.has(segment.asn)) {
+        const first = seen.get(segment.asn);
+        segment.loop = true;
+        asPath[first].loop = true;
+        loops.push({
+          asn: segment.asn,
+          firstSeenHop: asPath[first].entryHop,
+          reappearsAtHop: segment.entryHop
+        });
+      } else {
+        seen.set(segment.asn, index);
+      }
+    });
+
+    return loops;
+  }
+
+  /**
+   * Hand-offs between transit carriers and content networks
+   */
+  findTransitions(asPath) {
+    const transitions = [];
+
+    for (let i = 0; i < asPath.length - 1; i++) {
+      const from = asPath[i];
+      const to = asPath[i + 1];
+      const roles = [from.role, to.role];
+
+      if (from.role !== to.role && roles.includes("transit") && roles.includes("content")) {
+        transitions.push({
+          type: `${from.role}-to-${to.role}`,
+          from: from.asn,
+          to: to.asn,
+          atHop: to.entryHop
+        });
+      }
+    }
+
+    return transitions;
+  }
+}
+
+module.exports = new ASPathService();
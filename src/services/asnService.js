@@ -1,9 +1,18 @@
+const fs = require("fs");
+const readline = require("readline");
+const zlib = require("zlib");
 const axios = require("axios");
+const IPUtils = require("../utils/ip");
+const { createCache } = require("../utils/cache");
+const PrefixTrie = require("../utils/prefixTrie");
 
 class ASNService {
   constructor() {
-    this.cache = new Map();
-    this.TTL = 1000 * 60 * 60 * 24; // 24 hours
+    this.cache = createCache("asn", {
+      ttl: 1000 * 60 * 60 * 24, // 24 hours
+      negativeTtl: 1000 * 60 * 15, // failed lookups retried after 15 minutes
+      maxEntries: 50000
+    });
 
     this.cdnAsns = {
       13335: "Cloudflare",
@@ -17,16 +26,154 @@ class ASNService {
       45102: "Alibaba Cloud",
       63949: "Linode / Akamai Connected Cloud"
     };
+
+    // Content networks beyond the CDNs above (used for AS path roles)
+    this.contentAsns = {
+      32934: "Meta",
+      2906: "Netflix",
+      36040: "YouTube",
+      8068: "Microsoft",
+      714: "Apple",
+      13414: "Twitter / X",
+      46489: "Twitch",
+      19679: "Dropbox"
+    };
+
+    // Tier-1 and large transit carriers
+    this.transitAsns = {
+      174: "Cogent",
+      701: "Verizon",
+      1273: "Vodafone",
+      1299: "Arelion",
+      2914: "NTT",
+      3257: "GTT",
+      3320: "Deutsche Telekom",
+      3356: "Lumen",
+      3491: "PCCW",
+      4637: "Telstra",
+      5511: "Orange",
+      6453: "Tata",
+      6461: "Zayo",
+      6762: "Telecom Italia Sparkle",
+      6830: "Liberty Global",
+      6939: "Hurricane Electric",
+      7018: "AT&T",
+      7473: "Singtel",
+      9002: "RETN",
+      12956: "Telefonica"
+    };
+
+    // Local prefix → origin ASN table (iptoasn TSV or "prefix,asn[,org]" CSV)
+    this.prefixTable = new PrefixTrie();
+    this.datasetPath = process.env.ASN_DATASET_PATH || null;
+    this.datasetInfo = null;
+    this.remoteFallback = process.env.ASN_REMOTE_FALLBACK !== "false";
+
+    this.initPromise = this.datasetPath
+      ? this.loadDataset(this.datasetPath).catch(error => {
+          console.error(`❌ Failed to load ASN dataset: ${error.message}`);
+        })
+      : Promise.resolve();
+  }
+
+  /**
+   * Load a prefix-to-ASN dataset into a fresh trie and swap it in.
+   * Supported rows (optionally .gz compressed):
+   *   iptoasn:  range_start \t range_end \t asn \t country \t description
+   *   RIB CSV:  prefix,asn[,org]   e.g. 1.0.0.0/24,13335,CLOUDFLARENET
+   */
+  async loadDataset(path = this.datasetPath) {
+    if (!path) throw new Error("No ASN dataset path configured");
+
+    console.log(`📚 Loading ASN dataset from ${path}...`);
+    const started = Date.now();
+    const table = new PrefixTrie();
+    let rows = 0;
+    let skipped = 0;
+
+    let input = fs.createReadStream(path);
+    if (path.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) continue;
+
+      if (this.parseDatasetLine(line, table)) rows++;
+      else skipped++;
+    }
+
+    this.prefixTable = table;
+    this.datasetPath = path;
+    this.datasetInfo = {
+      path,
+      rows,
+      skipped,
+      prefixes: table.size,
+      loadedAt: new Date().toISOString(),
+      loadTimeMs: Date.now() - started
+    };
+
+    // Cached answers may come from the previous table or the remote API
+    this.cache.flushAll();
+
+    console.log(`✅ Loaded ${rows} ASN rows (${table.size} prefixes, ${skipped} skipped) in ${this.datasetInfo.loadTimeMs}ms`);
+    return this.datasetInfo;
+  }
+
+  /**
+   * Reload the configured dataset (e.g. after a nightly download)
+   */
+  async reloadDataset() {
+    return this.loadDataset(this.datasetPath);
+  }
+
+  parseDatasetLine(line, table) {
+    // iptoasn: start, end, asn, country, description
+    if (line.includes("\t")) {
+      const [start, end, asn, country, ...description] = line.split("\t");
+      const asnNumber = parseInt(asn, 10);
+      if (!asnNumber) return false; // AS0 = not routed
+
+      return table.insertRange(start, end, {
+        asnNumber,
+        org: description.join("\t") || null,
+        country: country && country !== "None" ? country : null
+      }) > 0;
+    }
+
+    // prefix,asn[,org] (also accepts whitespace separated)
+    const [prefix, asn, ...org] = line.split(/[,\s]+/);
+    const asnNumber = parseInt(String(asn).replace(/^AS/i, ""), 10);
+    if (!prefix.includes("/") || !asnNumber) return false;
+
+    return table.insert(prefix, {
+      asnNumber,
+      org: org.join(" ") || null,
+      country: null
+    });
+  }
+
+  /**
+   * Longest-prefix match against the local table
+   */
+  lookupLocal(ip) {
+    const match = this.prefixTable.lookup(ip);
+    if (!match) return null;
+
+    return {
+      ...match.value,
+      prefix: match.prefix
+    };
   }
 
   async getASN(ip) {
     if (!ip) return this.empty();
 
     // Cache
-    if (this.cache.has(ip)) {
-      const cached = this.cache.get(ip);
-      if (Date.now() - cached.timestamp < this.TTL) return cached.data;
-    }
+    const cached = this.cache.get(ip);
+    if (cached) return cached;
 
     // Private IP
     if (this.isPrivateIP(ip)) {
@@ -36,47 +183,69 @@ class ASNService {
         org: "Private Network",
         country: "Local",
         isCdn: false,
-        cdnProvider: null
+        cdnProvider: null,
+        source: null
       };
-      this.cache.set(ip, { data, timestamp: Date.now() });
+      this.cache.set(ip, data);
+      return data;
+    }
+
+    // Local prefix table
+    await this.initPromise;
+    const local = this.lookupLocal(ip);
+    if (local) {
+      const data = this.buildResult(local.asnNumber, local.org, local.country, "local");
+      data.prefix = local.prefix;
+      this.cache.set(ip, data);
       return data;
     }
 
-    // Primary API
-    try {
-      const res = await axios.get(
-        `http://ip-api.com/json/${ip}?fields=as,org,country`,
-        { timeout: 5000 }
-      );
-
-      if (res.data.as) {
-        const asnNumber = parseInt(res.data.as.replace("AS", ""));
-        const org = res.data.org || "Unknown";
-        const country = res.data.country || "Unknown";
-
-        const isCdn = this.cdnAsns[asnNumber] ? true : false;
-        const cdnProvider = this.cdnAsns[asnNumber] || null;
-
-        const data = {
-          asn: `AS${asnNumber}`,
-          asnNumber,
-          org,
-          country,
-          isCdn,
-          cdnProvider
-        };
-
-        this.cache.set(ip, { data, timestamp: Date.now() });
-        return data;
-      }
-    } catch {}
+    // Remote API, only when the local table has no match
+    if (this.remoteFallback) {
+      try {
+        const res = await axios.get(
+          `http://ip-api.com/json/${ip}?fields=as,org,country`,
+          { timeout: 5000 }
+        );
+
+        if (res.data.as) {
+          const asnNumber = parseInt(res.data.as.replace("AS", ""));
+          const data = this.buildResult(asnNumber, res.data.org, res.data.country, "ip-api");
+
+          this.cache.set(ip, data);
+          return data;
+        }
+      } catch {}
+    }
 
     // Fallback
     const fallback = this.empty();
-    this.cache.set(ip, { data: fallback, timestamp: Date.now() });
+    this.cache.setNegative(ip, fallback);
     return fallback;
   }
 
+  buildResult(asnNumber, org, country, source) {
+    return {
+      asn: `AS${asnNumber}`,
+      asnNumber,
+      org: org || "Unknown",
+      country: country || "Unknown",
+      isCdn: this.cdnAsns[asnNumber] ? true : false,
+      cdnProvider: this.cdnAsns[asnNumber] || null,
+      source
+    };
+  }
+
+  /**
+   * Network role of an ASN: "content", "transit" or "other"
+   */
+  getNetworkRole(asnNumber) {
+    if (!asnNumber) return "other";
+    if (this.cdnAsns[asnNumber] || this.contentAsns[asnNumber]) return "content";
+    if (this.transitAsns[asnNumber]) return "transit";
+    return "other";
+  }
+
   empty() {
     return {
       asn: null,
@@ -84,17 +253,13 @@ class ASNService {
       org: "Unknown",
       country: "Unknown",
       isCdn: false,
-      cdnProvider: null
+      cdnProvider: null,
+      source: null
     };
   }
 
   isPrivateIP(ip) {
-    return (
-      /^10\./.test(ip) ||
-      /^192\.168\./.test(ip) ||
-      /^172\.(1[6-9]|2[0-9]|3[0-1])\./.test(ip) ||
-      /^127\./.test(ip)
-    );
+    return IPUtils.isPrivateIP(ip);
   }
 }
 
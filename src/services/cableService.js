@@ -1,13 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
-
+const geoConfig = require('../config/geo');
+const { createCache } = require('../utils/cache');
+const SegmentGrid = require('../utils/segmentGrid');
+const Geography = require('../utils/geography');
+
+const API_BASE = 'https://www.submarinecablemap.com/api/v3';
+const SNAPSHOT_FORMAT = 1;
+
+const LANDING_LINK_KM = 50; // cable line end to landing point
+const LANDING_REGION_KM = 1000; // landing points considered "near" a hop outside its country
+const MAX_CANDIDATES = 5;
+const MIN_SEA_ROUTE_KM = 50; // hops closer than this are never a cable hop
+const LAND_CONNECTED_SEA_KM = 300; // open water needed between same-country / neighbouring hops
+const PATH_STEP_KM = 50; // vertex spacing of great-circle land legs in cable paths
+
+/**
+ * Submarine cable data comes from a versioned on-disk snapshot
+ * (CABLE_DATASET_PATH, default .data/submarine-cables.json, gitignored) holding the
+ * cable-geo, landing-point and cable metadata files of submarinecablemap.com.
+ * Without a snapshot the API is fetched once and the snapshot written,
+ * unless CABLE_OFFLINE=true. Refresh with `npm run refresh-cables` or
+ * POST /api/trace/refresh-cables.
+ */
 class CableService {
   
   constructor() {
     this.cables = [];
     this.landingPoints = [];
     this.cableMetadata = [];
-    this.lastFetch = null;
+    this.segmentIndex = new SegmentGrid();
+    this.cablesById = new Map();
+    this.cableGraphs = new WeakMap();
+    this.landing = { points: new Map(), byCountry: new Map(), index: new SegmentGrid() };
+    this.dataset = null; // { version, fetchedAt, origin }
+    this.datasetPath = process.env.CABLE_DATASET_PATH ||
+      path.join(__dirname, '..', '..', '.data', 'submarine-cables.json');
+    this.offline = process.env.CABLE_OFFLINE === 'true';
+    this.maxAgeDays = parseInt(process.env.CABLE_DATASET_MAX_AGE_DAYS || '90', 10);
     this.cacheDuration = 24 * 60 * 60 * 1000;
+    this.cache = createCache('cables', {
+      ttl: this.cacheDuration,
+      negativeTtl: 5 * 60 * 1000,
+      maxEntries: 5
+    });
     this.isLoading = false;
     this.loadAttempted = false;
     
@@ -24,45 +62,43 @@ class CableService {
     }
 
     try {
-      if (this.lastFetch && (Date.now() - this.lastFetch < this.cacheDuration) && this.cables.length > 0) {
-        console.log(`✅ Using cached submarine cable data (${this.cables.length} cables)`);
+      if (this.cables.length > 0) {
+        console.log(`✅ Using loaded submarine cable data (${this.cables.length} cables, ${this.dataset.version})`);
         return;
       }
 
       this.isLoading = true;
       this.loadAttempted = true;
-      console.log('🌊 Fetching submarine cable data from API...');
-
-      const [cableGeoResponse, landingPointResponse, cableMetadataResponse] = await Promise.all([
-        axios.get('https://www.submarinecablemap.com/api/v3/cable/cable-geo.json', { 
-          timeout: 20000,
-          headers: { 'Accept': 'application/json' }
-        }),
-        axios.get('https://www.submarinecablemap.com/api/v3/landing-point/landing-point-geo.json', { 
-          timeout: 20000,
-          headers: { 'Accept': 'application/json' }
-        }),
-        axios.get('https://www.submarinecablemap.com/api/v3/cable/all.json', { 
-          timeout: 20000,
-          headers: { 'Accept': 'application/json' }
-        })
-      ]);
-
-      this.cables = cableGeoResponse.data.features || [];
-      this.landingPoints = landingPointResponse.data.features || [];
-      this.cableMetadata = cableMetadataResponse.data || [];
-      this.lastFetch = Date.now();
-
-      console.log(`✅ Loaded ${this.cables.length} submarine cables`);
-      console.log(`✅ Loaded ${this.landingPoints.length} landing points`);
-      console.log(`✅ Loaded metadata for ${this.cableMetadata.length} cables`);
 
-      if (this.cables.length > 0) {
-        console.log('📝 Sample cables:', this.cables.slice(0, 3).map(c => c.properties?.name));
+      const snapshot = await this.readSnapshot();
+      if (snapshot) {
+        this.useDataset(snapshot, 'snapshot');
+        return;
+      }
+
+      if (this.offline) {
+        console.warn('⚠️  CABLE_OFFLINE=true and no cable snapshot - cable detection disabled');
+        return;
+      }
+
+      // Recent fetch failure - don't stall every trace on network timeouts
+      if (this.cache.get('fetch-failed')) {
+        console.log('⏭️  Skipping cable fetch (recent failure cached)');
+        return;
+      }
+
+      const dataset = await this.fetchDataset();
+      this.useDataset(dataset, 'network');
+
+      try {
+        await this.writeSnapshot(dataset);
+      } catch (error) {
+        console.warn(`⚠️  Could not write cable snapshot to ${this.datasetPath}: ${error.message}`);
       }
 
     } catch (error) {
       console.error('❌ Failed to load cable data from API:', error.message);
+      this.cache.setNegative('fetch-failed', error.message);
       if (error.response) {
         console.error('   Response status:', error.response.status);
       }
@@ -75,6 +111,119 @@ class CableService {
     }
   }
 
+  /**
+   * Download the three submarinecablemap.com files into a snapshot object
+   */
+  async fetchDataset() {
+    console.log('🌊 Fetching submarine cable data from API...');
+
+    const get = file => axios.get(`${API_BASE}/${file}`, {
+      timeout: 20000,
+      headers: { 'Accept': 'application/json' }
+    });
+
+    const [cableGeoResponse, landingPointResponse, cableMetadataResponse] = await Promise.all([
+      get('cable/cable-geo.json'),
+      get('landing-point/landing-point-geo.json'),
+      get('cable/all.json')
+    ]);
+
+    const dataset = {
+      format: SNAPSHOT_FORMAT,
+      version: null,
+      fetchedAt: new Date().toISOString(),
+      source: API_BASE,
+      cables: cableGeoResponse.data.features || [],
+      landingPoints: landingPointResponse.data.features || [],
+      cableMetadata: cableMetadataResponse.data || []
+    };
+
+    // Date of the fetch plus a content hash, so identical refreshes keep their identity
+    const hash = crypto.createHash('sha1')
+      .update(JSON.stringify([dataset.cables, dataset.landingPoints, dataset.cableMetadata]))
+      .digest('hex')
+      .slice(0, 8);
+    dataset.version = `${dataset.fetchedAt.slice(0, 10)}-${hash}`;
+
+    return dataset;
+  }
+
+  /**
+   * Snapshot from CABLE_DATASET_PATH, or null when missing / empty / unreadable
+   */
+  async readSnapshot() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.datasetPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read cable snapshot ${this.datasetPath}: ${error.message}`);
+      }
+      return null;
+    }
+
+    if (!raw.trim()) {
+      console.log(`📭 Cable snapshot ${this.datasetPath} is empty`);
+      return null;
+    }
+
+    try {
+      const snapshot = JSON.parse(raw);
+      if (snapshot.format !== SNAPSHOT_FORMAT || !Array.isArray(snapshot.cables)) {
+        console.warn(`⚠️  Ignoring cable snapshot ${this.datasetPath}: unknown format`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring cable snapshot ${this.datasetPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write the snapshot next to its final path, then rename over it
+   */
+  async writeSnapshot(dataset) {
+    const tmpPath = `${this.datasetPath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.datasetPath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(dataset));
+    await fs.promises.rename(tmpPath, this.datasetPath);
+    console.log(`💾 Wrote cable snapshot ${dataset.version} to ${this.datasetPath}`);
+  }
+
+  useDataset(dataset, origin) {
+    this.cables = dataset.cables || [];
+    this.landingPoints = dataset.landingPoints || [];
+    this.cableMetadata = dataset.cableMetadata || [];
+    this.segmentIndex = this.buildSegmentIndex(this.cables);
+    this.cablesById = new Map(this.cables.map(cable => [this.cableId(cable), cable]));
+    this.landing = this.buildLandingIndex(this.landingPoints, this.cables, this.cableMetadata);
+    this.dataset = { version: dataset.version, fetchedAt: dataset.fetchedAt, origin };
+
+    console.log(`✅ Loaded ${this.cables.length} submarine cables (${dataset.version}, ${origin})`);
+    console.log(`✅ Loaded ${this.landingPoints.length} landing points`);
+    console.log(`✅ Loaded metadata for ${this.cableMetadata.length} cables`);
+  }
+
+  /**
+   * Dataset version and age, reported with each analysis
+   */
+  datasetInfo() {
+    if (!this.dataset) {
+      return { version: null, fetchedAt: null, origin: null, ageDays: null, stale: null, cables: 0, landingPoints: 0 };
+    }
+
+    const ageDays = Math.round((Date.now() - Date.parse(this.dataset.fetchedAt)) / 8640000) / 10;
+
+    return {
+      ...this.dataset,
+      ageDays,
+      stale: ageDays > this.maxAgeDays,
+      cables: this.cables.length,
+      landingPoints: this.landingPoints.length
+    };
+  }
+
   getCableMetadata(cableId) {
     if (!cableId) return null;
     
@@ -95,36 +244,20 @@ class CableService {
 
   /**
    * Check if a route is a valid submarine cable route
-   * Returns true only if the route crosses water AND matches a cable
+   * Returns true only if the great-circle path between the hops crosses open water
    */
   isSubmarineCableRoute(hop1, hop2, distance) {
     // Skip if either hop has no coordinates
-    if (!hop1.lat || !hop2.lat || !hop1.country || !hop2.country) {
+    if (hop1.lat == null || hop1.lon == null || hop2.lat == null || hop2.lon == null) {
       return false;
     }
 
-    // CRITICAL: Routes within the same country are LAND routes (except for special cases)
-    if (hop1.country === hop2.country) {
-      // Exception: Very long distances within large countries that cross water
-      // (e.g., US mainland to Hawaii, Indonesia between islands)
-      const largCountries = ['US', 'ID', 'PH', 'MY', 'JP'];
-      
-      if (!largCountries.includes(hop1.country) || distance < 1000) {
-        console.log(`   ⛔ SAME COUNTRY (${hop1.country}), distance ${Math.round(distance)}km - LAND ROUTE`);
-        return false;
-      }
-    }
-
-    // Must have significant distance (minimum 500km for intercontinental)
-    if (distance < 500) {
+    if (distance < MIN_SEA_ROUTE_KM) {
       console.log(`   ⛔ Short distance (${Math.round(distance)}km) - LAND ROUTE`);
       return false;
     }
 
-    // Check if countries are on different continents or separated by ocean
-    const crossesOcean = this.routeCrossesOcean(hop1, hop2);
-    
-    if (!crossesOcean) {
+    if (!this.routeCrossesOcean(hop1, hop2)) {
       console.log(`   ⛔ Does not cross ocean - LAND ROUTE`);
       return false;
     }
@@ -133,145 +266,504 @@ class CableService {
   }
 
   /**
-   * Determine if route crosses an ocean (requires submarine cable)
+   * Determine if route crosses an ocean (requires submarine cable).
+   * Hops in the same country or in neighbouring countries usually have a
+   * terrestrial path around bays and straits, so they need a long stretch
+   * of open water (e.g. mainland US to Hawaii) before a cable is assumed.
    */
   routeCrossesOcean(hop1, hop2) {
-    const continent1 = this.getContinent(hop1.country);
-    const continent2 = this.getContinent(hop2.country);
-
-    // Different continents = likely ocean crossing
-    if (continent1 !== continent2) {
-      // Special case: Europe to Asia via land is possible
-      if ((continent1 === 'Europe' && continent2 === 'Asia') ||
-          (continent1 === 'Asia' && continent2 === 'Europe')) {
-        // Check if route goes through Russia/Turkey (land) or crosses Mediterranean/Atlantic (sea)
-        const avgLat = (hop1.lat + hop2.lat) / 2;
-        const avgLon = (hop1.lon + hop2.lon) / 2;
-        
-        // If route is in northern latitudes (>40°) and eastern hemisphere, likely land
-        if (avgLat > 40 && avgLon > 30 && avgLon < 180) {
-          return false; // Trans-Siberian route
+    const crossing = Geography.seaCrossing(hop1.lat, hop1.lon, hop2.lat, hop2.lon);
+    const country1 = Geography.countryCode(hop1.countryCode || hop1.country);
+    const country2 = Geography.countryCode(hop2.countryCode || hop2.country);
+
+    const landConnected = country1 && country2 &&
+      (country1 === country2 || Geography.shareLandBorder(country1, country2));
+    const minSeaKm = landConnected ? LAND_CONNECTED_SEA_KM : 0;
+
+    if (!crossing.crossesSea || crossing.longestSeaKm < minSeaKm) {
+      return false;
+    }
+
+    console.log(`   🌊 ${crossing.longestSeaKm}km of open water: ${country1 || hop1.country} → ${country2 || hop2.country} ` +
+      `(${Geography.continent(country1)} → ${Geography.continent(country2)})`);
+    return true;
+  }
+
+  /**
+   * Grid over every segment of every cable line (all MultiLineString parts)
+   */
+  buildSegmentIndex(cables) {
+    const started = Date.now();
+    const index = new SegmentGrid();
+
+    for (const cable of cables) {
+      for (const line of this.cableLines(cable)) {
+        index.insertLine(line, cable);
+      }
+    }
+
+    console.log(`🗺️  Indexed ${index.size} cable segments in ${Date.now() - started}ms`);
+    return index;
+  }
+
+  /**
+   * Coordinate lists of a cable geometry ([lon, lat] pairs)
+   */
+  cableLines(cable) {
+    const geometry = cable.geometry;
+    if (!geometry || !geometry.coordinates) return [];
+
+    const lines = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+    return lines.filter(line => Array.isArray(line) && line.length >= 2);
+  }
+
+  cableId(cable) {
+    return cable.properties?.id || cable.properties?.cable_id || null;
+  }
+
+  /**
+   * Landing points with the cables that land there: from the metadata's
+   * landing_points lists when present, else cable line ends within 50km
+   */
+  buildLandingIndex(landingPoints, cables, cableMetadata) {
+    const points = new Map();
+    const byCountry = new Map();
+    const index = new SegmentGrid();
+
+    for (const feature of landingPoints) {
+      const [lon, lat] = feature.geometry?.coordinates || [];
+      if (typeof lat !== 'number' || typeof lon !== 'number') continue;
+
+      const name = feature.properties?.name || 'Unknown';
+      const point = {
+        id: feature.properties?.id || name,
+        name,
+        country: this.landingCountry(name),
+        lat,
+        lon,
+        cables: new Set()
+      };
+      points.set(point.id, point);
+      index.insert(lat, lon, lat, lon, point);
+    }
+
+    for (const metadata of cableMetadata) {
+      for (const landing of metadata.landing_points || []) {
+        const point = points.get(landing.id);
+        if (!point) continue;
+        point.cables.add(metadata.id || metadata.cable_id);
+        if (landing.country) point.country = landing.country;
+      }
+    }
+
+    for (const cable of cables) {
+      const id = this.cableId(cable);
+      for (const line of this.cableLines(cable)) {
+        for (const [lon, lat] of [line[0], line[line.length - 1]]) {
+          for (const { value: point } of index.near(lat, lon, LANDING_LINK_KM)) {
+            if (this.calculateDistance(lat, lon, point.lat, point.lon) <= LANDING_LINK_KM) {
+              point.cables.add(id);
+            }
+          }
         }
       }
-      
-      console.log(`   🌊 Different continents: ${continent1} → ${continent2}`);
-      return true;
     }
 
-    // Same continent but check for specific ocean-separated countries
-    const oceanSeparated = this.areCountriesOceanSeparated(hop1.country, hop2.country);
-    if (oceanSeparated) {
-      console.log(`   🌊 Ocean-separated countries: ${hop1.country} → ${hop2.country}`);
-      return true;
+    for (const point of points.values()) {
+      const key = this.countryKey(point.country);
+      if (!byCountry.has(key)) byCountry.set(key, []);
+      byCountry.get(key).push(point);
     }
 
-    return false;
+    return { points, byCountry, index };
   }
 
   /**
-   * Map country codes to continents
+   * "Marseille, France" → "France"
    */
-  getContinent(countryCode) {
-    const continentMap = {
-      // North America
-      'US': 'North America', 'CA': 'North America', 'MX': 'North America',
-      'GT': 'North America', 'BZ': 'North America', 'SV': 'North America',
-      'HN': 'North America', 'NI': 'North America', 'CR': 'North America',
-      'PA': 'North America', 'CU': 'North America', 'JM': 'North America',
-      
-      // South America
-      'BR': 'South America', 'AR': 'South America', 'CL': 'South America',
-      'CO': 'South America', 'VE': 'South America', 'PE': 'South America',
-      'EC': 'South America', 'BO': 'South America', 'PY': 'South America',
-      'UY': 'South America', 'GY': 'South America', 'SR': 'South America',
-      
-      // Europe
-      'GB': 'Europe', 'FR': 'Europe', 'DE': 'Europe', 'IT': 'Europe',
-      'ES': 'Europe', 'PT': 'Europe', 'NL': 'Europe', 'BE': 'Europe',
-      'SE': 'Europe', 'NO': 'Europe', 'DK': 'Europe', 'FI': 'Europe',
-      'PL': 'Europe', 'CZ': 'Europe', 'AT': 'Europe', 'CH': 'Europe',
-      'IE': 'Europe', 'GR': 'Europe', 'RO': 'Europe', 'HU': 'Europe',
-      
-      // Asia
-      'CN': 'Asia', 'JP': 'Asia', 'IN': 'Asia', 'KR': 'Asia',
-      'TH': 'Asia', 'VN': 'Asia', 'MY': 'Asia', 'SG': 'Asia',
-      'ID': 'Asia', 'PH': 'Asia', 'PK': 'Asia', 'BD': 'Asia',
-      'IR': 'Asia', 'IQ': 'Asia', 'SA': 'Asia', 'AE': 'Asia',
-      'TR': 'Asia', 'IL': 'Asia', 'TW': 'Asia', 'HK': 'Asia',
-      
-      // Africa
-      'ZA': 'Africa', 'EG': 'Africa', 'NG': 'Africa', 'KE': 'Africa',
-      'MA': 'Africa', 'DZ': 'Africa', 'TN': 'Africa', 'LY': 'Africa',
-      'ET': 'Africa', 'GH': 'Africa', 'CI': 'Africa', 'CM': 'Africa',
-      
-      // Oceania
-      'AU': 'Oceania', 'NZ': 'Oceania', 'FJ': 'Oceania', 'PG': 'Oceania',
+  landingCountry(name) {
+    const parts = name.split(',');
+    return parts[parts.length - 1].trim();
+  }
+
+  /**
+   * ISO code when the name is known ("France" → "FR"), else the lowercased name
+   */
+  countryKey(country) {
+    return Geography.countryCode(country) || (country || '').toLowerCase().trim();
+  }
+
+  /**
+   * Landing points in the hop's country or within 1000km of it
+   * Returns [{ point, distance }]
+   */
+  landingPointsNear(hop) {
+    const found = new Map();
+    const add = point => {
+      if (!found.has(point.id)) {
+        found.set(point.id, { point, distance: this.calculateDistance(hop.lat, hop.lon, point.lat, point.lon) });
+      }
     };
 
-    return continentMap[countryCode] || 'Unknown';
+    (this.landing.byCountry.get(this.countryKey(hop.countryCode || hop.country)) || []).forEach(add);
+    for (const { value: point } of this.landing.index.near(hop.lat, hop.lon, LANDING_REGION_KM)) {
+      if (this.calculateDistance(hop.lat, hop.lon, point.lat, point.lon) <= LANDING_REGION_KM) add(point);
+    }
+
+    return [...found.values()];
   }
 
   /**
-   * Check if two countries are separated by ocean despite being on same continent
+   * Cables landing on both sides of an ocean crossing, ranked by how well
+   * the hops' RTT difference fits the path hop → landing → cable → landing → hop.
+   * Returns up to 5 candidates, best first, with confidence 0-1: each
+   * candidate's share of the summed scores of all candidates found.
    */
-  areCountriesOceanSeparated(country1, country2) {
-    // Islands separated from mainland
-    const oceanSeparatedPairs = [
-      // UK to/from Europe mainland
-      ['GB', 'FR'], ['GB', 'DE'], ['GB', 'NL'], ['GB', 'BE'],
-      ['GB', 'ES'], ['GB', 'IT'], ['GB', 'IE'],
-      
-      // Japan to/from Asia mainland
-      ['JP', 'CN'], ['JP', 'KR'], ['JP', 'RU'],
-      
-      // Indonesia islands
-      ['ID', 'SG'], ['ID', 'MY'], ['ID', 'AU'],
-      
-      // Philippines
-      ['PH', 'CN'], ['PH', 'TW'], ['PH', 'JP'],
-      
-      // Australia/NZ to Asia
-      ['AU', 'SG'], ['AU', 'ID'], ['NZ', 'AU'],
-      
-      // Iceland
-      ['IS', 'GB'], ['IS', 'NO'], ['IS', 'US'],
-    ];
+  inferCables(hop1, hop2) {
+    const sideA = this.landingPointsNear(hop1);
+    const sideB = this.landingPointsNear(hop2);
+    const observedRtt = this.rttDelta(hop1, hop2);
+
+    const nearestLanding = (side, cableId) => side
+      .filter(entry => entry.point.cables.has(cableId))
+      .reduce((best, entry) => (!best || entry.distance < best.distance ? entry : best), null);
+
+    const cableIds = new Set(sideA.flatMap(entry => [...entry.point.cables]));
+    const candidates = [];
+
+    for (const cableId of cableIds) {
+      const from = nearestLanding(sideA, cableId);
+      const to = nearestLanding(sideB, cableId);
+      const cable = this.cablesById.get(cableId);
+      if (!from || !to || !cable || from.point === to.point) continue;
+
+      const { length, lengthSource } = this.cablePathLength(cable, from.point, to.point);
+      const pathKm = from.distance + length + to.distance;
+      const expectedRtt = (2 * pathKm) / geoConfig.fibreKmPerMs;
+
+      const landingFit = Math.exp(-(from.distance + to.distance) / LANDING_REGION_KM);
+      const rttFit = this.rttFit(observedRtt, expectedRtt);
+
+      candidates.push({
+        id: cableId,
+        name: cable.properties?.name || 'Unknown Cable',
+        method: 'landing-points',
+        score: landingFit * rttFit,
+        landingFrom: this.landingRef(from),
+        landingTo: this.landingRef(to),
+        cableKm: Math.round(length),
+        lengthSource,
+        expectedRtt: Math.round(expectedRtt * 10) / 10,
+        observedRtt: observedRtt === null ? null : Math.round(observedRtt * 10) / 10
+      });
+    }
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES)
+      .map(candidate => ({
+        ...candidate,
+        score: Math.round(candidate.score * 1000) / 1000,
+        confidence: total > 0 ? Math.round((candidate.score / total) * 100) / 100 : 0
+      }));
+  }
+
+  landingRef({ point, distance }) {
+    return { id: point.id, name: point.name, country: point.country, distanceKm: Math.round(distance) };
+  }
+
+  /**
+   * RTT added between two hops (fastest samples), null when unknown
+   */
+  rttDelta(hop1, hop2) {
+    const rtt1 = hop1.rttStats?.min ?? hop1.rtt;
+    const rtt2 = hop2.rttStats?.min ?? hop2.rtt;
+    if (rtt1 == null || rtt2 == null) return null;
+    return rtt2 - rtt1;
+  }
+
+  /**
+   * 1 when the observed RTT matches the propagation time, lower as extra
+   * delay piles up, near 0 when the observed RTT is too short for the path
+   */
+  rttFit(observedRtt, expectedRtt) {
+    if (observedRtt === null || observedRtt <= 0) return 0.5;
+    if (observedRtt + geoConfig.rttToleranceMs < expectedRtt) return 0.05;
+    return Math.max(0.1, Math.min(1, expectedRtt / observedRtt));
+  }
+
+  /**
+   * Length along the cable between two landing points when its geometry
+   * connects both, else great-circle distance plus 20% route slack
+   */
+  cablePathLength(cable, from, to) {
+    const slice = this.cableSlice(cable, from, to);
+    if (slice) {
+      return { length: this.lineLength(slice), lengthSource: 'geometry' };
+    }
+
+    return {
+      length: this.calculateDistance(from.lat, from.lon, to.lat, to.lon) * 1.2,
+      lengthSource: 'estimate'
+    };
+  }
+
+  /**
+   * Shortest way along the cable between the vertices nearest two points
+   * (each within 50km), moving between lines where they share a vertex
+   * (branching units). [lon, lat] pairs from → to, null when not connected
+   */
+  cableSlice(cable, from, to) {
+    const nodes = this.cableGraph(cable);
+    const start = this.nearestNode(nodes, from, LANDING_LINK_KM);
+    const end = this.nearestNode(nodes, to, LANDING_LINK_KM);
+    if (!start || !end) return null;
+
+    const distance = new Map([[start, 0]]);
+    const previous = new Map();
+    const open = new Set([start]);
+
+    while (open.size > 0) {
+      let node = null;
+      for (const candidate of open) {
+        if (!node || distance.get(candidate) < distance.get(node)) node = candidate;
+      }
+      open.delete(node);
+      if (node === end) break;
+
+      for (const [next, km] of node.edges) {
+        const through = distance.get(node) + km;
+        if (!distance.has(next) || through < distance.get(next)) {
+          distance.set(next, through);
+          previous.set(next, node);
+          open.add(next);
+        }
+      }
+    }
+
+    if (!distance.has(end)) return null;
 
-    // Check both directions
-    return oceanSeparatedPairs.some(pair => 
-      (pair[0] === country1 && pair[1] === country2) ||
-      (pair[0] === country2 && pair[1] === country1)
-    );
+    const slice = [];
+    for (let node = end; node; node = previous.get(node)) slice.unshift([node.lon, node.lat]);
+    return slice;
   }
 
   /**
-   * Find cable that matches this route
+   * Vertices of all the cable's lines (merged within ~1km) with their
+   * neighbours; built once per cable object
+   */
+  cableGraph(cable) {
+    if (this.cableGraphs.has(cable)) return this.cableGraphs.get(cable);
+
+    const byKey = new Map();
+    const node = ([lon, lat]) => {
+      const key = `${lon.toFixed(2)},${lat.toFixed(2)}`;
+      if (!byKey.has(key)) byKey.set(key, { lon, lat, edges: [] });
+      return byKey.get(key);
+    };
+
+    for (const line of this.cableLines(cable)) {
+      for (let i = 0; i < line.length - 1; i++) {
+        const a = node(line[i]);
+        const b = node(line[i + 1]);
+        if (a === b) continue;
+        const km = this.calculateDistance(a.lat, a.lon, b.lat, b.lon);
+        a.edges.push([b, km]);
+        b.edges.push([a, km]);
+      }
+    }
+
+    const nodes = [...byKey.values()];
+    this.cableGraphs.set(cable, nodes);
+    return nodes;
+  }
+
+  nearestNode(nodes, point, maxKm) {
+    let best = null;
+    let bestDistance = maxKm;
+    for (const node of nodes) {
+      const distance = this.calculateDistance(node.lat, node.lon, point.lat, point.lon);
+      if (distance <= bestDistance) {
+        best = node;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  lineLength(line) {
+    let length = 0;
+    for (let k = 0; k < line.length - 1; k++) {
+      length += this.calculateDistance(line[k][1], line[k][0], line[k + 1][1], line[k + 1][0]);
+    }
+    return length;
+  }
+
+  /**
+   * Geometry travelled between two hops joined by a cable, as a GeoJSON
+   * FeatureCollection: great-circle land legs from each hop to its landing
+   * point and the cable polyline between the two landings.
+   * Null when a land leg would cross open water (the landing is on another
+   * coast than the hop), rather than drawing an ocean crossing as land.
+   */
+  cablePath(hop1, hop2, cable, match) {
+    const from = this.pathLanding(match.landingFrom, cable, hop1);
+    const to = this.pathLanding(match.landingTo, cable, hop2);
+    if (!from || !to) return null;
+
+    const overLand = (a, b) => !Geography.seaCrossing(a.lat, a.lon, b.lat, b.lon).crossesSea;
+    if (!overLand(hop1, from) || !overLand(to, hop2)) {
+      console.log(`⚠️  No path geometry for ${cable.properties?.name || this.cableId(cable)}: a landing is across open water from its hop`);
+      return null;
+    }
+
+    const slice = this.cableSlice(cable, from, to);
+    const cableLine = slice && slice.length >= 2 ? slice : this.greatCircleLine(from, to);
+
+    const landLeg = (hop, landing, line) => this.lineFeature(line, {
+      segment: 'land',
+      hop: hop.hop,
+      landing: landing.name,
+      distanceKm: Math.round(this.calculateDistance(hop.lat, hop.lon, landing.lat, landing.lon))
+    });
+    const landingPoint = landing => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [landing.lon, landing.lat] },
+      properties: { segment: 'landing', id: landing.id, name: landing.name, country: landing.country }
+    });
+
+    const firstLeg = landLeg(hop1, from, this.greatCircleLine(hop1, from));
+    const cableLeg = this.lineFeature(cableLine, {
+      segment: 'cable',
+      cableId: this.cableId(cable),
+      name: cable.properties?.name || 'Unknown Cable',
+      color: cable.properties?.color || '#939597',
+      from: from.name,
+      to: to.name,
+      lengthKm: Math.round(this.lineLength(cableLine)),
+      geometrySource: cableLine === slice ? 'geometry' : 'estimate'
+    });
+    const lastLeg = landLeg(hop2, to, this.greatCircleLine(to, hop2));
+
+    return {
+      type: 'FeatureCollection',
+      features: [firstLeg, cableLeg, lastLeg, landingPoint(from), landingPoint(to)]
+    };
+  }
+
+  /**
+   * The matched landing point, else the cable's landing point nearest the
+   * hop, else (no landing points linked to the cable) its nearest vertex
+   */
+  pathLanding(ref, cable, hop) {
+    const id = this.cableId(cable);
+    const point = (ref && this.landing.points.get(ref.id)) ||
+      [...this.landing.points.values()]
+        .filter(candidate => candidate.cables.has(id))
+        .reduce((best, candidate) => {
+          const distance = this.calculateDistance(hop.lat, hop.lon, candidate.lat, candidate.lon);
+          return !best || distance < best.distance ? { point: candidate, distance } : best;
+        }, null)?.point;
+
+    if (point) {
+      return { id: point.id, name: point.name, country: point.country, lat: point.lat, lon: point.lon };
+    }
+
+    const nearest = this.nearestNode(this.cableGraph(cable), hop, Infinity);
+    return nearest && { id: null, name: null, country: null, lat: nearest.lat, lon: nearest.lon };
+  }
+
+  /**
+   * Great-circle line between two { lat, lon } points, a vertex every ~50km
+   */
+  greatCircleLine(a, b) {
+    const steps = Math.max(1, Math.ceil(this.calculateDistance(a.lat, a.lon, b.lat, b.lon) / PATH_STEP_KM));
+    const round = value => Math.round(value * 1e4) / 1e4;
+    return Geography.greatCircle(a.lat, a.lon, b.lat, b.lon, steps).map(([lat, lon]) => [round(lon), round(lat)]);
+  }
+
+  /**
+   * LineString feature, split at the antimeridian into a MultiLineString
+   * when it crosses ±180° (RFC 7946 §3.1.9), longitudes always in ±180
+   */
+  lineFeature(coordinates, properties) {
+    const parts = [[]];
+    let previous = null;
+
+    for (let [lon, lat] of coordinates) {
+      if (lon > 180 || lon < -180) lon = ((lon + 540) % 360) - 180;
+      if (previous) {
+        // Shortest way round: a jump of more than 180° crosses the antimeridian
+        const delta = lon - previous[0];
+        if (Math.abs(delta) > 180) {
+          const edge = delta < 0 ? 180 : -180;
+          const unwrapped = lon + (delta < 0 ? 360 : -360);
+          const f = (edge - previous[0]) / (unwrapped - previous[0]);
+          const crossLat = Math.round((previous[1] + f * (lat - previous[1])) * 1e4) / 1e4;
+
+          // Vertices on the antimeridian itself aren't repeated
+          if (f > 0) parts[parts.length - 1].push([edge, crossLat]);
+          parts.push(f < 1 ? [[-edge, crossLat]] : []);
+        }
+      }
+      parts[parts.length - 1].push([lon, lat]);
+      previous = [lon, lat];
+    }
+
+    const lines = parts.filter(part => part.length >= 2);
+    const geometry = lines.length > 1
+      ? { type: 'MultiLineString', coordinates: lines }
+      : { type: 'LineString', coordinates: lines[0] || parts[0] };
+
+    return { type: 'Feature', geometry, properties };
+  }
+
+  /**
+   * Find cable that matches this route: the cable segment closest to the
+   * route's start, middle or end, within 200km
    */
   findMatchingCable(lat1, lon1, lat2, lon2) {
     const threshold = 200; // Stricter threshold - 200km
+    const [midLat, midLon] = this.routeMidpoint(lat1, lon1, lat2, lon2);
     let bestMatch = null;
-    let minDistance = Infinity;
 
-    for (const cable of this.cables) {
-      if (!cable.geometry || !cable.geometry.coordinates) continue;
-      
-      const coordinates = cable.geometry.type === 'MultiLineString' 
-        ? cable.geometry.coordinates[0] 
-        : cable.geometry.coordinates;
-      
-      if (!coordinates || coordinates.length < 2) continue;
+    for (const [lat, lon] of [[lat1, lon1], [midLat, midLon], [lat2, lon2]]) {
+      for (const segment of this.segmentIndex.near(lat, lon, threshold)) {
+        const distance = this.segmentDistance(lat, lon, segment);
 
-      const distance = this.calculateRouteProximity(lat1, lon1, lat2, lon2, coordinates);
-      
-      if (distance < minDistance && distance < threshold) {
-        minDistance = distance;
-        bestMatch = { cable, distance };
+        if (distance < threshold && (!bestMatch || distance < bestMatch.distance)) {
+          bestMatch = { cable: segment.value, distance };
+        }
       }
     }
 
     return bestMatch;
   }
 
+  /**
+   * Midpoint of the straight lat/lon line, taking the short way across the antimeridian
+   */
+  routeMidpoint(lat1, lon1, lat2, lon2) {
+    let midLon = (lon1 + lon2) / 2;
+    if (Math.abs(lon2 - lon1) > 180) {
+      midLon = midLon > 0 ? midLon - 180 : midLon + 180;
+    }
+    return [(lat1 + lat2) / 2, midLon];
+  }
+
+  /**
+   * Point to indexed segment, with the point's longitude on the segment's side of ±180°
+   */
+  segmentDistance(lat, lon, segment) {
+    const segmentLon = (segment.lon1 + segment.lon2) / 2;
+    if (lon - segmentLon > 180) lon -= 360;
+    else if (segmentLon - lon > 180) lon += 360;
+
+    return this.pointToSegmentDistance(lat, lon, segment.lat1, segment.lon1, segment.lat2, segment.lon2);
+  }
+
   async analyzeCableUsage(hops) {
     console.log('\n🔍 ========== CABLE ANALYSIS START ==========');
     
@@ -325,20 +817,26 @@ class CableService {
         continue;
       }
       
-      // Step 2: If it could be submarine, try to find matching cable
+      // Step 2: Cables that land on both sides, ranked by RTT fit; a cable
+      // merely passing near the hops is not evidence, so no match is reported then
       console.log(`🔎 Could be submarine cable - searching for match...`);
-      const cableMatch = this.findMatchingCable(hop1.lat, hop1.lon, hop2.lat, hop2.lon);
-      
-      if (cableMatch) {
-        const cable = cableMatch.cable;
-        const cableId = cable.properties?.id || cable.properties?.cable_id;
-        const cableName = cable.properties?.name || 'Unknown Cable';
+      const candidates = this.inferCables(hop1, hop2);
+      const best = candidates[0] || null;
+
+      hop1.routeType = 'sea';
+      hop1.cableCandidates = candidates;
+
+      if (best) {
+        const cableId = best.id;
+        const cable = this.cablesById.get(cableId);
         
-        console.log(`✅ *** SUBMARINE CABLE CONFIRMED: ${cableName} ***`);
-        console.log(`   Distance to cable: ${Math.round(cableMatch.distance)} km`);
+        console.log(`✅ *** SUBMARINE CABLE: ${best.name} (${best.method}, confidence ${best.confidence}) ***`);
+        if (candidates.length > 1) {
+          console.log(`   Alternatives: ${candidates.slice(1).map(c => `${c.name} (${c.confidence})`).join(', ')}`);
+        }
         
-        hop1.routeType = 'sea';
-        hop1.cableUsed = cableName;
+        hop1.cableUsed = best.name;
+        hop1.cablePath = cable ? this.cablePath(hop1, hop2, cable, best) : null;
         
         if (!usedCableIds.has(cableId)) {
           usedCableIds.add(cableId);
@@ -347,29 +845,34 @@ class CableService {
           
           const cableInfo = {
             id: cableId,
-            name: cableName,
+            name: best.name,
             from: hop1.country,
             to: hop2.country,
             fromCity: hop1.city || 'Unknown',
             toCity: hop2.city || 'Unknown',
             hopRange: `${hop1.hop}-${hop2.hop}`,
             distance: Math.round(distance),
+            method: best.method,
+            confidence: best.confidence,
+            landingFrom: best.landingFrom || null,
+            landingTo: best.landingTo || null,
+            alternatives: candidates.slice(1).map(({ id, name, confidence }) => ({ id, name, confidence })),
             length: metadata?.length || 'N/A',
             rfs: metadata?.ready_for_service || metadata?.rfs || 'N/A',
             owners: this.extractOwners(metadata),
             url: metadata?.url || `https://www.submarinecablemap.com/submarine-cable/${cableId}`,
-            color: cable.properties?.color || '#939597'
+            color: cable?.properties?.color || '#939597'
           };
           
           cablesUsed.push(cableInfo);
           console.log(`📋 Cable details:`, JSON.stringify(cableInfo, null, 2));
         } else {
-          console.log(`⏭️  Cable ${cableName} already recorded`);
+          console.log(`⏭️  Cable ${best.name} already recorded`);
         }
       } else {
         // Ocean crossing but no cable found - likely using a cable not in database
-        hop1.routeType = 'sea';
         hop1.cableUsed = 'Unknown Cable';
+        hop1.cablePath = null;
         console.log(`⚠️  Ocean crossing detected but no cable match found in database`);
       }
     }
@@ -396,6 +899,10 @@ class CableService {
     return 'N/A';
   }
 
+  /**
+   * Closest approach of a route to one cable line by checking every segment.
+   * Brute-force reference for the grid index (see scripts/benchmark-cables.js)
+   */
   calculateRouteProximity(lat1, lon1, lat2, lon2, cableCoordinates) {
     const midLat = (lat1 + lat2) / 2;
     const midLon = (lon1 + lon2) / 2;
@@ -437,12 +944,9 @@ class CableService {
     const area = Math.sqrt(Math.max(0, s * (s - distPA) * (s - distPB) * (s - distAB)));
     const perpDist = (2 * area) / distAB;
 
-    const dotProduct = 
-      ((pLat - aLat) * (bLat - aLat) + (pLon - aLon) * (bLon - aLon)) /
-      (distAB * distAB);
-
-    if (dotProduct < 0) return distPA;
-    if (dotProduct > 1) return distPB;
+    // Obtuse angle at A or B: the nearest point is that end, not the foot of the perpendicular
+    if (distPB * distPB > distPA * distPA + distAB * distAB) return distPA;
+    if (distPA * distPA > distPB * distPB + distAB * distAB) return distPB;
     return perpDist;
   }
 
@@ -463,13 +967,17 @@ class CableService {
     return degrees * (Math.PI / 180);
   }
 
+  /**
+   * Fetch the dataset again and replace the snapshot.
+   * Throws (keeping the current data) when the API is unreachable.
+   */
   async refreshData() {
-    console.log('🔄 Forcing cable data refresh...');
-    this.lastFetch = null;
-    this.cables = [];
-    this.landingPoints = [];
-    this.cableMetadata = [];
-    await this.loadCables();
+    console.log('🔄 Refreshing cable dataset...');
+    const dataset = await this.fetchDataset();
+    await this.writeSnapshot(dataset);
+    this.useDataset(dataset, 'network');
+    this.cache.delete('fetch-failed');
+    return this.datasetInfo();
   }
 }
 
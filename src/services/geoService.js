@@ -1,22 +1,143 @@
 const dns = require("dns").promises;
 const axios = require("axios");
+const geoip = require("geoip-lite");
+const maxmind = require("maxmind");
+const geoConfig = require("../config/geo");
+const IPUtils = require("../utils/ip");
+const Calculations = require("../utils/calculations");
+const Geography = require("../utils/geography");
+const rdnsHints = require("./rdnsHintService");
+const { createCache } = require("../utils/cache");
+
+const countryNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// How far each provider's city-level answer is trusted, compared against
+// rDNS hint confidence when the two disagree
+const PROVIDER_CONFIDENCE = { maxmind: 0.6, "ip-api": 0.5, "geoip-lite": 0.4 };
+const HINT_AGREE_KM = 50;
 
 class GeoService {
   constructor() {
-    this.cache = new Map();
-    this.TTL = 1000 * 60 * 60 * 24; // 24 hours
+    this.cache = createCache("geo", {
+      ttl: 1000 * 60 * 60 * 24, // 24 hours
+      negativeTtl: 1000 * 60 * 15, // failed lookups retried after 15 minutes
+      maxEntries: 50000
+    });
+
+    // Provider chain, first answer wins.
+    // GEO_PROVIDERS=maxmind,geoip-lite,ip-api (drop ip-api for air-gapped installs)
+    this.providers = {
+      maxmind: ip => this.lookupMaxmind(ip),
+      "geoip-lite": ip => this.lookupGeoipLite(ip),
+      "ip-api": ip => this.lookupIpApi(ip)
+    };
+    this.providerOrder = (process.env.GEO_PROVIDERS || "maxmind,geoip-lite,ip-api")
+      .split(",")
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    // Optional local MaxMind GeoLite2/GeoIP2 City database
+    this.maxmindPath = process.env.MAXMIND_DB_PATH || null;
+    this.maxmindReader = null;
+
+    const unknown = this.providerOrder.filter(name => !this.providers[name]);
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Unknown geo providers ignored: ${unknown.join(", ")}`);
+    }
+  }
+
+  /**
+   * Register (or replace) a geolocation provider.
+   * lookup(ip) resolves to { lat, lon, city, country, countryCode, timezone } or null.
+   */
+  registerProvider(name, lookup, { prepend = false } = {}) {
+    this.providers[name] = lookup;
+    if (!this.providerOrder.includes(name)) {
+      if (prepend) this.providerOrder.unshift(name);
+      else this.providerOrder.push(name);
+    }
   }
 
   /**
    * Main geolocation resolver
+   * options.resolver: dns.Resolver for the PTR lookup instead of the system one
+   */
+  async getGeoLocation(ip, { resolver = null } = {}) {
+    const data = await this.lookupLocation(ip, resolver);
+    return this.applyRdnsHint(data);
+  }
+
+  /**
+   * Check the provider location against the router hostname. A hint that
+   * is more trustworthy than the provider replaces its coordinates
+   * (source: "rdns", original kept in providerLocation).
+   * confidence: 0-1 trust in the final coordinates
    */
-  async getGeoLocation(ip) {
+  applyRdnsHint(data) {
+    const hint = rdnsHints.parse(data.rdns);
+    const providerConfidence = data.provider ? PROVIDER_CONFIDENCE[data.provider] ?? 0.5 : 0;
+
+    if (!hint) {
+      return {
+        ...data,
+        source: data.provider ? "provider" : null,
+        confidence: providerConfidence,
+        rdnsHint: null
+      };
+    }
+
+    const hasLocation = data.lat != null && data.lon != null;
+    const distanceKm = hasLocation
+      ? Math.round(Calculations.haversineDistance(data.lat, data.lon, hint.lat, hint.lon))
+      : null;
+    const agrees = distanceKm !== null && distanceKm <= HINT_AGREE_KM;
+
+    const applied = !agrees && hint.confidence >= geoConfig.rdnsHintMinConfidence &&
+      (!hasLocation || hint.confidence > providerConfidence);
+
+    const rdnsHint = { ...hint, applied, agrees, distanceKm };
+
+    if (!applied) {
+      return {
+        ...data,
+        source: data.provider ? "provider" : null,
+        // A router name pointing elsewhere makes the provider answer less likely
+        confidence: agrees
+          ? Math.max(providerConfidence, hint.confidence)
+          : Math.round(providerConfidence * 0.75 * 100) / 100,
+        rdnsHint
+      };
+    }
+
+    return {
+      ...data,
+      lat: hint.lat,
+      lon: hint.lon,
+      city: hint.city,
+      country: this.countryName(hint.countryCode),
+      countryCode: hint.countryCode,
+      source: "rdns",
+      confidence: hint.confidence,
+      providerLocation: hasLocation
+        ? { lat: data.lat, lon: data.lon, city: data.city, countryCode: data.countryCode }
+        : null,
+      rdnsHint
+    };
+  }
+
+  /**
+   * Cached provider lookup plus one PTR lookup, through resolver when given.
+   * Only the system resolver's PTR is cached; entries first seen through
+   * another resolver are cached without one (rdns undefined).
+   */
+  async lookupLocation(ip, resolver = null) {
     if (!ip) return this.empty();
 
     // Cache
-    if (this.cache.has(ip)) {
-      const cached = this.cache.get(ip);
-      if (Date.now() - cached.timestamp < this.TTL) return cached.data;
+    const cached = this.cache.get(ip);
+    if (cached) {
+      if (this.isPrivateIP(ip) || (!resolver && cached.rdns !== undefined)) return cached;
+      return { ...cached, rdns: await this.reverseLookup(ip, resolver || dns) };
     }
 
     // Private IP
@@ -28,49 +149,140 @@ class GeoService {
         country: "Local",
         countryCode: "XX",
         timezone: null,
-        rdns: null
+        rdns: null,
+        provider: null
       };
-      this.cache.set(ip, { data, timestamp: Date.now() });
+      this.cache.set(ip, data);
       return data;
     }
 
     // Reverse DNS (POP detection)
-    let rdns = null;
-    try {
-      const ptr = await dns.reverse(ip);
-      rdns = ptr[0] || null;
-    } catch {}
+    const rdns = await this.reverseLookup(ip, resolver || dns);
+    const cacheable = data => (resolver ? { ...data, rdns: undefined } : data);
 
-    // Primary API (ip-api.com)
-    try {
-      const res = await axios.get(
-        `http://ip-api.com/json/${ip}?fields=status,country,countryCode,city,lat,lon,timezone`,
-        { timeout: 5000 }
-      );
-
-      if (res.data.status === "success") {
-        const data = {
-          lat: res.data.lat,
-          lon: res.data.lon,
-          city: res.data.city || "Unknown",
-          country: res.data.country || "Unknown",
-          countryCode: res.data.countryCode || "XX",
-          timezone: res.data.timezone || null,
-          rdns
-        };
-
-        this.cache.set(ip, { data, timestamp: Date.now() });
-        return data;
+    // Provider chain
+    for (const name of this.providerOrder) {
+      const lookup = this.providers[name];
+      if (!lookup) continue;
+
+      try {
+        const result = await lookup(ip);
+        if (result && result.lat != null && result.lon != null) {
+          const data = {
+            lat: result.lat,
+            lon: result.lon,
+            city: result.city || "Unknown",
+            country: result.country || "Unknown",
+            countryCode: result.countryCode || "XX",
+            timezone: result.timezone || null,
+            rdns,
+            provider: name
+          };
+
+          this.cache.set(ip, cacheable(data));
+          return data;
+        }
+      } catch (error) {
+        console.error(`Geo provider ${name} failed for ${ip}:`, error.message);
       }
-    } catch {}
+    }
 
     // Fallback
     const fallback = this.empty();
     fallback.rdns = rdns;
-    this.cache.set(ip, { data: fallback, timestamp: Date.now() });
+    this.cache.setNegative(ip, cacheable(fallback));
     return fallback;
   }
 
+  /**
+   * First PTR name for ip, or null
+   */
+  async reverseLookup(ip, resolver = dns) {
+    try {
+      const ptr = await resolver.reverse(ip);
+      return ptr[0] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Bundled geoip-lite database (offline)
+   */
+  lookupGeoipLite(ip) {
+    const res = geoip.lookup(ip);
+    if (!res || !res.ll) return null;
+
+    return {
+      lat: res.ll[0],
+      lon: res.ll[1],
+      city: res.city || null,
+      country: this.countryName(res.country),
+      countryCode: res.country || null,
+      timezone: res.timezone || null
+    };
+  }
+
+  /**
+   * Local MaxMind MMDB file (offline), only when MAXMIND_DB_PATH is set
+   */
+  async lookupMaxmind(ip) {
+    if (!this.maxmindPath) return null;
+
+    if (!this.maxmindReader) {
+      this.maxmindReader = maxmind.open(this.maxmindPath).catch(error => {
+        console.error(`❌ Failed to open MaxMind database: ${error.message}`);
+        this.maxmindPath = null;
+        return null;
+      });
+    }
+
+    const reader = await this.maxmindReader;
+    const res = reader && reader.get(ip);
+    if (!res || !res.location) return null;
+
+    const countryCode = res.country?.iso_code || null;
+
+    return {
+      lat: res.location.latitude,
+      lon: res.location.longitude,
+      city: res.city?.names?.en || null,
+      country: res.country?.names?.en || this.countryName(countryCode),
+      countryCode,
+      timezone: res.location.time_zone || null
+    };
+  }
+
+  /**
+   * ip-api.com remote lookup (rate-limited to 45 req/min)
+   */
+  async lookupIpApi(ip) {
+    const res = await axios.get(
+      `http://ip-api.com/json/${ip}?fields=status,country,countryCode,city,lat,lon,timezone`,
+      { timeout: 5000 }
+    );
+
+    if (res.data.status !== "success") return null;
+
+    return {
+      lat: res.data.lat,
+      lon: res.data.lon,
+      city: res.data.city,
+      country: res.data.country,
+      countryCode: res.data.countryCode,
+      timezone: res.data.timezone
+    };
+  }
+
+  countryName(countryCode) {
+    if (!countryCode) return null;
+    try {
+      return countryNames.of(countryCode);
+    } catch {
+      return countryCode;
+    }
+  }
+
   empty() {
     return {
       lat: null,
@@ -79,33 +291,17 @@ class GeoService {
       country: "Unknown",
       countryCode: "XX",
       timezone: null,
-      rdns: null
+      rdns: null,
+      provider: null
     };
   }
 
   isPrivateIP(ip) {
-    return (
-      /^10\./.test(ip) ||
-      /^192\.168\./.test(ip) ||
-      /^172\.(1[6-9]|2[0-9]|3[0-1])\./.test(ip) ||
-      /^127\./.test(ip)
-    );
+    return IPUtils.isPrivateIP(ip);
   }
 
   isDifferentContinent(c1, c2) {
-    const map = {
-      NA: ["US", "CA", "MX"],
-      EU: ["GB", "DE", "FR", "NL", "SE", "NO", "FI", "PL", "IT", "ES", "BE"],
-      AS: ["CN", "JP", "IN", "SG", "HK", "LK"],
-      SA: ["BR", "AR", "CL"],
-      OC: ["AU", "NZ"],
-      AF: ["ZA", "NG", "EG"]
-    };
-
-    const cont1 = Object.keys(map).find(k => map[k].includes(c1));
-    const cont2 = Object.keys(map).find(k => map[k].includes(c2));
-
-    return cont1 && cont2 && cont1 !== cont2;
+    return Geography.isDifferentContinent(c1, c2);
   }
 }
 
@@ -0,0 +1,164 @@
+const geoConfig = require("../config/geo");
+const Calculations = require("../utils/calculations");
+
+/**
+ * Speed-of-light sanity check on hop geolocation.
+ *
+ * The path to a later hop runs through the earlier ones, so two hops' RTTs
+ * must differ by at least the time light in fibre needs to cover the
+ * distance between them and back. Geolocation that breaks this (a backbone
+ * router placed on the wrong continent) is flagged and relocated to the
+ * nearest consistent neighbour, or dropped (GEO_INVALID_LOCATION).
+ */
+class GeoValidationService {
+
+  /**
+   * Validate enriched hops (output of enrichHops).
+   * Returns { hops, summary }; hops are copies with geoConfidence and
+   * geoFlag (null, or { reason, conflicts, action, relocatedTo, original }).
+   */
+  validate(hops) {
+    const located = hops
+      .map((hop, index) => ({ hop, index, rtt: this.minRtt(hop) }))
+      .filter(entry => this.isLocated(entry.hop) && entry.rtt != null);
+
+    const flagged = new Map();
+
+    // Drop the worst offender until the remaining locations are consistent
+    for (;;) {
+      const remaining = located.filter(entry => !flagged.has(entry.index));
+      const conflicts = new Map(remaining.map(entry => [entry.index, []]));
+
+      for (let i = 0; i < remaining.length; i++) {
+        for (let j = i + 1; j < remaining.length; j++) {
+          if (!this.isPossible(remaining[i], remaining[j])) {
+            conflicts.get(remaining[i].index).push(remaining[j].hop.hop);
+            conflicts.get(remaining[j].index).push(remaining[i].hop.hop);
+          }
+        }
+      }
+
+      const worst = remaining
+        .filter(entry => conflicts.get(entry.index).length > 0)
+        .sort((a, b) =>
+          conflicts.get(b.index).length - conflicts.get(a.index).length ||
+          (a.hop.geoConfidence ?? 0) - (b.hop.geoConfidence ?? 0) ||
+          b.index - a.index
+        )[0];
+
+      if (!worst) break;
+      flagged.set(worst.index, conflicts.get(worst.index));
+    }
+
+    const consistent = located.filter(entry => !flagged.has(entry.index));
+
+    const validated = hops.map((hop, index) => {
+      if (!flagged.has(index)) {
+        return { ...hop, geoConfidence: this.isLocated(hop) ? hop.geoConfidence ?? 0.5 : 0, geoFlag: null };
+      }
+
+      const entry = located.find(candidate => candidate.index === index);
+      const neighbour = geoConfig.invalidLocation === "relocate"
+        ? this.nearestConsistent(entry, consistent)
+        : null;
+
+      return this.flag(hop, flagged.get(index), neighbour);
+    });
+
+    return {
+      hops: validated,
+      summary: {
+        checked: located.length,
+        flagged: [...flagged.keys()].map(index => hops[index].hop),
+        action: geoConfig.invalidLocation
+      }
+    };
+  }
+
+  /**
+   * Whether hops a and b can both be where geolocation puts them
+   * (location overrides b's coordinates when trying a new spot)
+   */
+  isPossible(a, b, location = b.hop) {
+    const distance = Calculations.haversineDistance(a.hop.lat, a.hop.lon, location.lat, location.lon);
+    const minRoundTrip = (2 * distance) / geoConfig.fibreKmPerMs;
+    const budget = Math.abs(b.rtt - a.rtt) + geoConfig.rttToleranceMs;
+
+    return minRoundTrip <= budget;
+  }
+
+  /**
+   * Closest hop (by position) whose location fits every consistent hop
+   * when placed at the flagged hop's RTT
+   */
+  nearestConsistent(entry, consistent) {
+    const candidates = [...consistent].sort(
+      (a, b) => Math.abs(a.index - entry.index) - Math.abs(b.index - entry.index) || a.index - b.index
+    );
+
+    return candidates.find(candidate =>
+      consistent.every(other => this.isPossible(other, entry, candidate.hop))
+    ) || null;
+  }
+
+  flag(hop, conflicts, neighbour) {
+    const original = {
+      lat: hop.lat,
+      lon: hop.lon,
+      city: hop.city,
+      country: hop.country,
+      countryCode: hop.countryCode ?? null,
+      location: hop.location,
+      geoSource: hop.geoSource || null
+    };
+    const geoFlag = {
+      reason: "speed-of-light",
+      conflicts,
+      action: neighbour ? "relocated" : "dropped",
+      relocatedTo: neighbour ? neighbour.hop.hop : null,
+      original
+    };
+
+    if (neighbour) {
+      return {
+        ...hop,
+        lat: neighbour.hop.lat,
+        lon: neighbour.hop.lon,
+        city: neighbour.hop.city,
+        country: neighbour.hop.country,
+        countryCode: neighbour.hop.countryCode ?? null,
+        location: neighbour.hop.location,
+        geoSource: "neighbour",
+        geoConfidence: 0.2,
+        geoFlag
+      };
+    }
+
+    return {
+      ...hop,
+      lat: null,
+      lon: null,
+      city: "Unknown",
+      country: "Unknown",
+      countryCode: null,
+      location: "Unresolved",
+      geoSource: null,
+      geoConfidence: 0,
+      geoFlag
+    };
+  }
+
+  isLocated(hop) {
+    return hop.lat != null && hop.lon != null && !Number.isNaN(Number(hop.lat)) && !Number.isNaN(Number(hop.lon));
+  }
+
+  /**
+   * Fastest sample: queueing only ever adds delay
+   */
+  minRtt(hop) {
+    if (hop.timeout) return null;
+    return hop.rttStats?.min ?? hop.rtt ?? null;
+  }
+}
+
+module.exports = new GeoValidationService();
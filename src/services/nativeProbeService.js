@@ -0,0 +1,282 @@
+const dgram = require("dgram");
+
+const probeConfig = require("../config/probe");
+const IPUtils = require("../utils/ip");
+
+// ICMP / ICMPv6 message types we send or expect back
+const ICMP = {
+  4: { echoRequest: 8, echoReply: 0, timeExceeded: 11, unreachable: 3 },
+  6: { echoRequest: 128, echoReply: 129, timeExceeded: 3, unreachable: 1 }
+};
+
+const IP_HEADER = { 4: 20, 6: 40 };
+const DEFAULT_PAYLOAD = 32;
+
+/**
+ * In-process traceroute: TTL-stepping ICMP echo or UDP probes, answered by
+ * ICMP time-exceeded / unreachable replies read from a raw socket.
+ * Needs the optional raw-socket module and CAP_NET_RAW (or root).
+ *
+ * trace() returns raw hop data ({ hop, responders: [{ ip, samples }] });
+ * TracerouteService.finalizeHop turns it into the same hop objects the
+ * CLI parsers produce.
+ */
+class NativeProbeService {
+  constructor() {
+    this.raw = null;
+    this.available = null;
+    this.identifier = process.pid & 0xffff;
+    this.sequence = 0;
+  }
+
+  /**
+   * Whether raw ICMP sockets can be opened here (checked once)
+   */
+  isAvailable() {
+    if (this.available !== null) return this.available;
+
+    try {
+      this.raw = require("raw-socket");
+      const socket = this.raw.createSocket({ protocol: this.raw.Protocol.ICMP });
+      socket.close();
+      this.available = true;
+      console.log("✅ Native probe engine available (raw sockets)");
+    } catch (error) {
+      this.available = false;
+      console.log(`⚠️  Native probe engine unavailable: ${error.message}`);
+    }
+
+    return this.available;
+  }
+
+  /**
+   * Whether this engine should run the trace (PROBE_ENGINE=auto|cli).
+   * TCP SYN probes and Paris mode are left to the CLI tools.
+   */
+  supports(probe, options = {}) {
+    if (probeConfig.engine === "cli" || options.native === false) return false;
+    if (!["icmp", "udp"].includes(probe.protocol) || options.paris) return false;
+    return this.isAvailable();
+  }
+
+  /**
+   * Probe ip hop by hop. onHop(hopData) fires as each TTL completes.
+   */
+  async trace(ip, probe, { signal, onHop = () => {} } = {}) {
+    if (!this.isAvailable()) {
+      throw new Error("Native probe engine unavailable (raw-socket module or CAP_NET_RAW missing)");
+    }
+
+    const family = IPUtils.family(ip);
+    const session = await this.openSession(family, probe.protocol);
+    const hops = [];
+
+    try {
+      for (let ttl = probe.firstTtl; ttl <= probe.maxHops; ttl++) {
+        if (signal && signal.aborted) break;
+
+        const replies = await Promise.all(
+          Array.from({ length: probe.probes }, () => this.sendProbe(session, ip, ttl, probe))
+        );
+
+        const hopData = { hop: ttl, responders: [] };
+        for (const reply of replies.filter(Boolean)) {
+          let responder = hopData.responders.find(r => r.ip === reply.ip);
+          if (!responder) {
+            responder = { ip: reply.ip, samples: [] };
+            hopData.responders.push(responder);
+          }
+          responder.samples.push(reply.rtt);
+        }
+
+        hops.push(hopData);
+        onHop(hopData);
+
+        if (replies.some(reply => reply && reply.reached)) break;
+      }
+    } finally {
+      this.closeSession(session);
+    }
+
+    return hops;
+  }
+
+  /**
+   * Raw ICMP listener (plus a UDP sender for udp probes) shared by one trace
+   */
+  async openSession(family, protocol) {
+    const raw = this.raw;
+    const session = {
+      family,
+      protocol,
+      pending: new Map(),
+      listener: raw.createSocket({
+        addressFamily: family === 6 ? raw.AddressFamily.IPv6 : raw.AddressFamily.IPv4,
+        protocol: family === 6 ? raw.Protocol.ICMPv6 : raw.Protocol.ICMP
+      }),
+      udp: null,
+      udpPort: null
+    };
+
+    session.listener.on("message", (buffer, source) => this.handleReply(session, buffer, source));
+    session.listener.on("error", error => console.error(`Native probe socket error: ${error.message}`));
+
+    if (protocol === "udp") {
+      session.udp = dgram.createSocket(family === 6 ? "udp6" : "udp4");
+      await new Promise((resolve, reject) => {
+        session.udp.once("error", reject);
+        session.udp.bind(0, () => {
+          session.udp.off("error", reject);
+          resolve();
+        });
+      });
+      session.udpPort = session.udp.address().port;
+    }
+
+    return session;
+  }
+
+  closeSession(session) {
+    for (const entry of session.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.resolve(null);
+    }
+    session.pending.clear();
+
+    session.listener.close();
+    if (session.udp) session.udp.close();
+  }
+
+  /**
+   * Send one probe at ttl. Resolves with { ip, rtt, reached } or null on timeout.
+   */
+  sendProbe(session, ip, ttl, probe) {
+    const sequence = this.sequence = (this.sequence + 1) & 0xffff;
+    const payloadSize = probe.packetSize
+      ? Math.max(0, probe.packetSize - IP_HEADER[session.family] - 8)
+      : DEFAULT_PAYLOAD;
+
+    return new Promise(resolve => {
+      let key;
+      const entry = { sentAt: null, resolve, timer: null };
+
+      const finish = reply => {
+        clearTimeout(entry.timer);
+        session.pending.delete(key);
+        resolve(reply);
+      };
+      entry.resolve = finish;
+      entry.timer = setTimeout(() => finish(null), probe.timeoutMs);
+
+      if (session.protocol === "udp") {
+        // Classic traceroute: a different destination port per probe
+        const port = probe.port + (sequence % Math.max(1, 65536 - probe.port));
+        key = `udp:${session.udpPort}:${port}`;
+        session.pending.set(key, entry);
+
+        session.udp.setTTL(ttl);
+        entry.sentAt = process.hrtime.bigint();
+        session.udp.send(Buffer.alloc(payloadSize), port, ip, error => {
+          if (error) finish(null);
+        });
+      } else {
+        key = `icmp:${this.identifier}:${sequence}`;
+        session.pending.set(key, entry);
+
+        const packet = this.echoRequest(session.family, sequence, payloadSize);
+        const raw = this.raw;
+        const [level, option] = session.family === 6
+          ? [raw.SocketLevel.IPPROTO_IPV6, raw.SocketOption.IPV6_UNICAST_HOPS]
+          : [raw.SocketLevel.IPPROTO_IP, raw.SocketOption.IP_TTL];
+
+        session.listener.send(
+          packet, 0, packet.length, ip,
+          () => {
+            session.listener.setOption(level, option, ttl);
+            entry.sentAt = process.hrtime.bigint();
+          },
+          error => {
+            if (error) finish(null);
+          }
+        );
+      }
+    });
+  }
+
+  /**
+   * ICMP(v6) echo request; the kernel fills in the ICMPv6 checksum
+   */
+  echoRequest(family, sequence, payloadSize) {
+    const packet = Buffer.alloc(8 + payloadSize);
+    packet.writeUInt8(ICMP[family].echoRequest, 0);
+    packet.writeUInt16BE(this.identifier, 4);
+    packet.writeUInt16BE(sequence, 6);
+
+    if (family === 4) {
+      this.raw.writeChecksum(packet, 2, this.raw.createChecksum(packet));
+    }
+    return packet;
+  }
+
+  /**
+   * Match an incoming ICMP message to the probe it answers
+   */
+  handleReply(session, buffer, source) {
+    const receivedAt = process.hrtime.bigint();
+    const types = ICMP[session.family];
+
+    // IPv4 raw sockets deliver the IP header, IPv6 ones do not
+    const icmp = session.family === 4 ? buffer.subarray((buffer[0] & 0x0f) * 4) : buffer;
+    if (icmp.length < 8) return;
+
+    const type = icmp[0];
+    let key = null;
+
+    if (type === types.echoReply) {
+      key = `icmp:${icmp.readUInt16BE(4)}:${icmp.readUInt16BE(6)}`;
+    } else if (type === types.timeExceeded || type === types.unreachable) {
+      key = this.quotedProbeKey(session.family, icmp.subarray(8));
+    }
+
+    const entry = key && session.pending.get(key);
+    if (!entry || entry.sentAt === null) return;
+
+    const rtt = Math.round((Number(receivedAt - entry.sentAt) / 1e6) * 1000) / 1000;
+    entry.resolve({
+      ip: source,
+      rtt,
+      reached: type === types.echoReply || type === types.unreachable
+    });
+  }
+
+  /**
+   * Key of our original probe, read from the packet quoted in an ICMP error
+   */
+  quotedProbeKey(family, quoted) {
+    let headerLength;
+    let protocol;
+
+    if (family === 4) {
+      if (quoted.length < 20) return null;
+      headerLength = (quoted[0] & 0x0f) * 4;
+      protocol = quoted[9];
+    } else {
+      if (quoted.length < 40) return null;
+      headerLength = 40;
+      protocol = quoted[6];
+    }
+
+    const inner = quoted.subarray(headerLength);
+    if (inner.length < 8) return null;
+
+    if (protocol === 17) {
+      return `udp:${inner.readUInt16BE(0)}:${inner.readUInt16BE(2)}`;
+    }
+    if (protocol === (family === 6 ? 58 : 1)) {
+      return `icmp:${inner.readUInt16BE(4)}:${inner.readUInt16BE(6)}`;
+    }
+    return null;
+  }
+}
+
+module.exports = new NativeProbeService();
@@ -0,0 +1,112 @@
+const rules = require("../data/rdns-rules.json");
+const locationCodes = require("../data/location-codes.json");
+
+const CITY_KEY = name => name.toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * Location hints from router hostnames (PTR records), e.g.
+ *   ae-1.r21.londen12.uk.bb.gin.ntt.net → London (CLLI "londen", NTT rule)
+ *   be3671.ccr41.dca01.atlas.cogentco.com → Washington (IATA "dca", Cogent rule)
+ * Operator rules live in data/rdns-rules.json, codes in data/location-codes.json.
+ */
+class RdnsHintService {
+  constructor() {
+    this.rules = rules.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern) }));
+    this.generic = rules.generic;
+    this.stopwords = new Set(rules.generic.stopwords);
+
+    this.iata = locationCodes.iata;
+    this.clli = locationCodes.clli;
+
+    // City names ("london", "newyork") from every entry in the table
+    this.cities = {};
+    for (const entry of [...Object.values(this.iata), ...Object.values(this.clli)]) {
+      this.cities[CITY_KEY(entry.city)] = entry;
+    }
+
+    this.version = { rules: rules.version, locations: locationCodes.version };
+  }
+
+  /**
+   * Location hint for a hostname, or null
+   * { hostname, operator, code, codeType, city, countryCode, lat, lon, confidence }
+   */
+  parse(hostname) {
+    if (!hostname || typeof hostname !== "string") return null;
+    const name = hostname.toLowerCase().replace(/\.$/, "");
+
+    for (const rule of this.rules) {
+      if (!name.endsWith(rule.suffix)) continue;
+
+      const match = name.match(rule.regex);
+      if (!match) continue;
+
+      const location = this.lookupCode(match[1], rule.type, rule.codes);
+      if (location) {
+        return this.hint(name, rule.operator, match[1], rule.type, location, rule.confidence);
+      }
+    }
+
+    return this.parseGeneric(name);
+  }
+
+  /**
+   * Fallback for unknown operators: look for a single known code among the
+   * hostname labels (domain and TLD excluded). Ambiguous names give no hint.
+   */
+  parseGeneric(name) {
+    const labels = name.split(".").slice(0, -2);
+    const tokens = labels.flatMap(label => label.split(/[-_]/));
+    const found = new Map();
+
+    for (const token of tokens) {
+      const bare = token.replace(/\d+$/, "");
+      if (this.stopwords.has(bare)) continue;
+
+      let type = null;
+      if (bare.length === 3) type = "iata";
+      else if (bare.length === 6 && this.clli[bare]) type = "clli";
+      else if (bare.length >= 4) type = "city";
+      if (!type) continue;
+
+      const location = this.lookupCode(bare, type);
+      if (location) found.set(`${location.lat},${location.lon}`, { code: bare, type, location });
+    }
+
+    if (found.size !== 1) return null;
+
+    const [{ code, type, location }] = found.values();
+    return this.hint(name, null, code, type, location, this.generic.confidence);
+  }
+
+  lookupCode(code, type, operatorCodes = {}) {
+    switch (type) {
+      case "iata":
+        return this.iata[code] || null;
+      case "clli":
+        return this.clli[code] || null;
+      case "city":
+        return this.cities[CITY_KEY(code)] || null;
+      case "operator":
+        return operatorCodes[code] ? this.iata[operatorCodes[code]] || null : null;
+      default:
+        return null;
+    }
+  }
+
+  hint(hostname, operator, code, codeType, location, confidence) {
+    return {
+      hostname,
+      operator,
+      code,
+      codeType,
+      city: location.city,
+      countryCode: location.cc,
+      lat: location.lat,
+      lon: location.lon,
+      confidence
+    };
+  }
+}
+
+module.exports = new RdnsHintService();
@@ -0,0 +1,202 @@
+const asPathService = require('./asPathService');
+
+/**
+ * Compare two traceroute results for the same target and report what changed
+ */
+
+class RouteDiffService {
+
+  /**
+   * Diff two trace results (as returned by TracerouteService.traceRoute)
+   * previous = older run, current = newer run
+   */
+  compareTraces(previous, current) {
+    const hops = this.diffHops(previous.hops || [], current.hops || []);
+    const asPath = this.diffAsPath(this.extractAsPath(previous), this.extractAsPath(current));
+    const cables = this.diffCables(previous.cables || [], current.cables || []);
+    const metrics = this.diffMetrics(previous, current);
+
+    return {
+      domain: current.domain,
+      previous: this.describe(previous),
+      current: this.describe(current),
+      changed:
+        hops.added.length > 0 ||
+        hops.removed.length > 0 ||
+        asPath.changed ||
+        cables.added.length > 0 ||
+        cables.removed.length > 0,
+      hops,
+      asPath,
+      cables,
+      metrics
+    };
+  }
+
+  /**
+   * Where the paths to several addresses of one domain split
+   * (results of TracerouteService.traceAddresses). Timed out hops match
+   * any address. Returns null for fewer than two traces.
+   */
+  findDivergence(traces) {
+    if (traces.length < 2) return null;
+
+    const hopLists = traces.map(trace => trace.hops || []);
+    const shortest = Math.min(...hopLists.map(hops => hops.length));
+    const sharedHops = [];
+
+    for (let i = 0; i < shortest; i++) {
+      const ips = new Set(hopLists.map(hops => hops[i].ip).filter(Boolean));
+      if (ips.size > 1) break;
+      sharedHops.push({ hop: hopLists[0][i].hop, ip: [...ips][0] || null });
+    }
+
+    const split = sharedHops.length;
+    const identical = split === shortest && hopLists.every(hops => hops.length === shortest);
+    const firstBranchHop = hopLists.map(hops => hops[split]).find(Boolean);
+
+    const asPaths = traces.map(trace => this.extractAsPath(trace));
+    const sharedAsPath = [];
+    for (let i = 0; i < Math.min(...asPaths.map(path => path.length)); i++) {
+      if (asPaths.some(path => path[i] !== asPaths[0][i])) break;
+      sharedAsPath.push(asPaths[0][i]);
+    }
+
+    return {
+      diverged: !identical,
+      divergesAtHop: identical || !firstBranchHop ? null : firstBranchHop.hop,
+      lastSharedIp: [...sharedHops].reverse().find(hop => hop.ip)?.ip || null,
+      sharedHops,
+      sharedAsPath,
+      branches: traces.map((trace, index) => ({
+        targetIp: trace.targetIp,
+        traceId: trace.traceId || null,
+        hops: hopLists[index].slice(split).map(hop => this.hopRef(hop)),
+        asPath: asPaths[index].slice(sharedAsPath.length)
+      }))
+    };
+  }
+
+  describe(trace) {
+    return {
+      traceId: trace.traceId || null,
+      targetIp: trace.targetIp || null,
+      timestamp: trace.timestamp || null
+    };
+  }
+
+  /**
+   * Hops whose responding IP appears in only one of the runs, plus RTT
+   * deltas for routers seen in both
+   */
+  diffHops(previousHops, currentHops) {
+    const previousByIp = this.indexByIp(previousHops);
+    const currentByIp = this.indexByIp(currentHops);
+
+    const added = [...currentByIp.values()]
+      .filter(hop => !previousByIp.has(hop.ip))
+      .map(hop => this.hopRef(hop));
+
+    const removed = [...previousByIp.values()]
+      .filter(hop => !currentByIp.has(hop.ip))
+      .map(hop => this.hopRef(hop));
+
+    const rttChanges = [];
+    for (const [ip, hop] of currentByIp) {
+      const before = previousByIp.get(ip);
+      if (!before || before.rtt == null || hop.rtt == null) continue;
+
+      rttChanges.push({
+        ip,
+        previousHop: before.hop,
+        currentHop: hop.hop,
+        previousRtt: before.rtt,
+        currentRtt: hop.rtt,
+        delta: this.round(hop.rtt - before.rtt)
+      });
+    }
+
+    return {
+      previousCount: previousHops.length,
+      currentCount: currentHops.length,
+      added,
+      removed,
+      rttChanges
+    };
+  }
+
+  /**
+   * Compare the AS-level paths (lists of "AS123")
+   */
+  diffAsPath(previous, current) {
+    return {
+      changed: previous.join(' ') !== current.join(' '),
+      previous,
+      current,
+      added: current.filter(asn => !previous.includes(asn)),
+      removed: previous.filter(asn => !current.includes(asn))
+    };
+  }
+
+  /**
+   * AS path of a trace; older stored traces have no asPath field
+   */
+  extractAsPath(trace) {
+    const asPath = trace.asPath || asPathService.analyze(trace.hops || []).asPath;
+    return asPath.map(segment => segment.asn);
+  }
+
+  diffCables(previousCables, currentCables) {
+    const previous = previousCables.map(cable => cable.name);
+    const current = currentCables.map(cable => cable.name);
+
+    return {
+      previous,
+      current,
+      added: current.filter(name => !previous.includes(name)),
+      removed: previous.filter(name => !current.includes(name))
+    };
+  }
+
+  diffMetrics(previous, current) {
+    const metric = key => ({
+      previous: previous[key] ?? null,
+      current: current[key] ?? null,
+      delta:
+        previous[key] != null && current[key] != null
+          ? this.round(current[key] - previous[key])
+          : null
+    });
+
+    return {
+      totalHops: metric('totalHops'),
+      totalTime: metric('totalTime'),
+      totalDistance: metric('totalDistance'),
+      landDistance: metric('landDistance'),
+      seaDistance: metric('seaDistance')
+    };
+  }
+
+  indexByIp(hops) {
+    const byIp = new Map();
+    for (const hop of hops) {
+      if (hop.ip && !byIp.has(hop.ip)) byIp.set(hop.ip, hop);
+    }
+    return byIp;
+  }
+
+  hopRef(hop) {
+    return {
+      hop: hop.hop,
+      ip: hop.ip,
+      asn: hop.asn || null,
+      location: hop.location || null
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new RouteDiffService();
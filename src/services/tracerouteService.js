@@ -1,19 +1,36 @@
-const { exec } = require("child_process");
+const { exec, spawn } = require("child_process");
 const { promisify } = require("util");
 const dns = require("dns").promises;
+const crypto = require("crypto");
 const os = require("os");
 
 const execAsync = promisify(exec);
 
+// tracert has no probe count option
+const TRACERT_PROBES = 3;
+
+// Fixed UDP port for Paris-style (single flow) traces
+const PARIS_PORT = 33434;
+
+const probeConfig = require("../config/probe");
+const IPUtils = require("../utils/ip");
+const Calculations = require("../utils/calculations");
 const geoService = require("./geoService");
 const asnService = require("./asnService");
 const cableService = require("./cableService");
+const asPathService = require("./asPathService");
+const geoValidationService = require("./geoValidationService");
+const routeDiffService = require("./routeDiffService");
+const DnsResolvers = require("../utils/dnsResolver");
+const TargetUtils = require("../utils/target");
+const nativeProbeService = require("./nativeProbeService");
 
 class TracerouteService {
   constructor() {
     this.isWindows = os.platform() === "win32";
     this.isMac = os.platform() === "darwin";
     this.isLinux = os.platform() === "linux";
+    this.probesPerHop = probeConfig.defaults.probes;
     console.log(
       `🖥️  Platform: ${
         this.isWindows ? "Windows" : this.isMac ? "macOS" : "Unix/Linux"
@@ -23,12 +40,17 @@ class TracerouteService {
 
   /**
    * Main traceroute function
+   * options.ipVersion: 4, 6 or "auto" (default)
+   * options.paris: keep the probe flow fixed so ECMP routers pick one path
+   * options.probe: protocol, port, maxHops, firstTtl, probes, timeoutMs, packetSize
+   * options.target: how the route interpreted domain (TargetUtils.parse)
+   * options.dnsDetails: include every A/AAAA record, TTLs and the CNAME chain
    */
-  async traceRoute(domain) {
+  async traceRoute(domain, options = {}) {
     try {
-      const targetIp = await this.resolveDomain(domain);
+      const target = await this.resolveTarget(domain, options);
 
-      if (!targetIp) {
+      if (!target) {
         return {
           success: false,
           error: "Could not resolve domain",
@@ -36,59 +58,178 @@ class TracerouteService {
         };
       }
 
-      console.log(`✅ Resolved ${domain} → ${targetIp}`);
+      if (target.rejected) {
+        return { success: false, ...target.rejected, domain, status: 400 };
+      }
 
-      const hops = await this.runTraceroute(targetIp);
+      console.log(`✅ Resolved ${domain} → ${target.address} (${target.record})`);
 
-      if (!hops || hops.length === 0) {
+      return await this.traceResolved(domain, target, options);
+    } catch (error) {
+      console.error("Traceroute error:", error);
+      return {
+        success: false,
+        error: error.message,
+        domain: domain || "unknown"
+      };
+    }
+  }
+
+  /**
+   * Trace several resolved addresses of domain in parallel (anycast /
+   * round-robin DNS). options.addresses: how many to trace, or "all"
+   * (capped by PROBE_MAX_PARALLEL_ADDRESSES). Results are grouped per
+   * address, with the point where the paths split in divergence; every
+   * per-address result carries the run's groupId.
+   */
+  async traceAddresses(domain, options = {}) {
+    try {
+      const target = await this.resolveTarget(domain, { ...options, dnsDetails: true });
+
+      if (!target) {
         return {
           success: false,
-          error: "Traceroute failed - no hops returned",
-          domain,
-          targetIp
+          error: "Could not resolve domain",
+          domain
         };
       }
 
-      console.log(`✅ Parsed ${hops.length} raw hops`);
-
-      // Enrich each hop with geo + ASN data
-      const enrichedHops = await this.enrichHops(hops);
-
-      // Trim trailing useless hops: full timeouts with no IP at the end
-      const cleanedHops = this.trimTrailingEmptyHops(enrichedHops);
+      if (target.rejected) {
+        return { success: false, ...target.rejected, domain, status: 400 };
+      }
 
-      console.log(`✅ Using ${cleanedHops.length} cleaned hops`);
+      const limit = options.addresses === "all"
+        ? probeConfig.maxParallelAddresses
+        : Math.min(options.addresses || 1, probeConfig.maxParallelAddresses);
+      const records = (
+        target.records ||
+        target.addresses.map(address => ({ address, record: target.record, ttl: null }))
+      ).slice(0, limit);
+
+      console.log(`✅ Tracing ${records.length} of ${target.addresses.length} addresses for ${domain}`);
+
+      // Each address is stored as its own trace; groupId ties the run together
+      const groupId = crypto.randomUUID();
+      const results = await Promise.all(
+        records.map(record =>
+          this.traceResolved(domain, { ...target, address: record.address, record: record.record }, options)
+            .then(result => ({ ...result, groupId }))
+            .catch(error => ({ success: false, error: error.message, domain, targetIp: record.address, groupId }))
+        )
+      );
 
-      // Analyze submarine cables - this will also set routeType for each hop
-      const cableInfo = await cableService.analyzeCableUsage(cleanedHops);
+      const traced = results.filter(result => result.success);
 
-      // Calculate distances AFTER cable analysis (so we have routeType set)
-      const distances = this.calculateDistances(cleanedHops);
+      return {
+        success: traced.length > 0,
+        ...(traced.length === 0 && { error: "Traceroute failed for every address" }),
+        domain,
+        groupId,
+        target,
+        tracedAddresses: records.length,
+        results: records.map((record, index) => ({ ...record, result: results[index] })),
+        divergence: routeDiffService.findDivergence(traced),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error("Multi-address traceroute error:", error);
+      return {
+        success: false,
+        error: error.message,
+        domain: domain || "unknown"
+      };
+    }
+  }
 
-      // Detect CDN
-      const cdnInfo = this.detectCDN(cleanedHops);
+  /**
+   * Probe one already resolved address and build its result
+   */
+  async traceResolved(domain, target, options = {}) {
+    options = { ...options, target, diagnostics: this.createDiagnostics() };
+    const targetIp = target.address;
 
-      // Calculate total time - use last valid hop RTT
-      const totalTime = this.calculateTotalTime(cleanedHops);
+    const hops = await this.runTraceroute(targetIp, options);
 
+    if (!hops || hops.length === 0) {
       return {
-        success: true,
+        success: false,
+        error: "Traceroute failed - no hops returned",
         domain,
         targetIp,
-        totalHops: cleanedHops.length,
-        totalDistance: distances.total,
-        landDistance: distances.land,
-        seaDistance: distances.sea,
-        totalTime,
-        hasCdn: cdnInfo.detected,
-        cdnProvider: cdnInfo.provider,
-        cdnHop: cdnInfo.hopNumber,
-        hops: cleanedHops,
-        cables: cableInfo,
-        timestamp: new Date().toISOString()
+        diagnostics: options.diagnostics
       };
+    }
+
+    console.log(`✅ Parsed ${hops.length} raw hops for ${targetIp}`);
+
+    return await this.buildTraceResult(domain, targetIp, hops, options);
+  }
+
+  /**
+   * Streaming variant of traceRoute.
+   * Emits "resolved", "hop" (raw, as each line arrives), "enriched", "cable"
+   * and "summary" through emit(event, data). options.signal aborts the probe.
+   */
+  async streamTraceRoute(domain, options = {}, emit = () => {}) {
+    options = { ...options, diagnostics: this.createDiagnostics() };
+
+    try {
+      const target = await this.resolveTarget(domain, options);
+
+      if (!target) {
+        return {
+          success: false,
+          error: "Could not resolve domain",
+          domain
+        };
+      }
+
+      if (target.rejected) {
+        return { success: false, ...target.rejected, domain, status: 400 };
+      }
+
+      const targetIp = target.address;
+      options.target = target;
+      console.log(`✅ Resolved ${domain} → ${targetIp} (${target.record})`);
+      emit("resolved", { domain, targetIp, ipVersion: IPUtils.family(targetIp), target });
+
+      let hops = await this.runNativeProbe(targetIp, options, hop => emit("hop", hop));
+
+      if (!hops || hops.length === 0) {
+        hops = await this.spawnTraceroute(targetIp, options, hop => emit("hop", hop));
+      }
+
+      // Client went away: the hops so far are a partial trace, not a result
+      if (options.signal && options.signal.aborted) {
+        return { success: false, error: "Trace aborted", domain, targetIp };
+      }
+
+      // Probe binary missing or produced nothing - fall back to the buffered chain
+      if (!hops || hops.length === 0) {
+        console.log("⚠️  Streaming probe returned no hops, using buffered traceroute...");
+        hops = await this.runTraceroute(targetIp, { ...options, native: false });
+        hops.forEach(hop => emit("hop", hop));
+      }
+
+      if (!hops || hops.length === 0) {
+        return {
+          success: false,
+          error: "Traceroute failed - no hops returned",
+          domain,
+          targetIp,
+          diagnostics: options.diagnostics
+        };
+      }
+
+      console.log(`✅ Streamed ${hops.length} raw hops`);
+
+      const result = await this.buildTraceResult(domain, targetIp, hops, { ...options, emit });
+      const { hops: _hops, cables: _cables, ...summary } = result;
+      emit("summary", summary);
+
+      return result;
     } catch (error) {
-      console.error("Traceroute error:", error);
+      console.error("Streaming traceroute error:", error);
       return {
         success: false,
         error: error.message,
@@ -97,94 +238,465 @@ class TracerouteService {
     }
   }
 
+  /**
+   * Spawn the system traceroute and parse stdout line by line.
+   * onHop is called with each raw hop as soon as its line is complete.
+   * Resolves with the hops parsed from the full output. ICMP (-I) needs
+   * privileges; when it is refused the run is repeated with UDP probes
+   * and a warning is added to the diagnostics.
+   */
+  async spawnTraceroute(ip, options = {}, onHop = () => {}) {
+    const probe = this.resolveProbeOptions(options.probe);
+    const diagnostics = options.diagnostics || this.createDiagnostics();
+    let command;
+    let args;
+    let parse;
+
+    if (this.isWindows) {
+      command = "tracert";
+      args = this.tracertArgs(ip, probe);
+      parse = (output, warnings) => this.parseWindowsTracert(output, warnings);
+    } else {
+      // Stream from traceroute: mtr --report only prints once it is done
+      command = this.tracerouteCommand(ip);
+      args = this.tracerouteArgs(ip, probe, options.paris);
+      parse = (output, warnings) => this.parseTracerouteOutput(output, probe.probes, warnings);
+    }
+
+    const run = await this.spawnProbe(command, args, parse, probe, options, diagnostics, onHop);
+
+    if (run.hops.length === 0 && args.includes("-I") && this.isPermissionError(run.stderr)) {
+      console.log("⚠️  ICMP permission denied, streaming again with UDP probes...");
+      diagnostics.warnings.push({
+        parser: "traceroute",
+        line: null,
+        text: run.stderr.trim().split("\n")[0],
+        reason: "ICMP probes not permitted, fell back to UDP"
+      });
+
+      const udpArgs = args.filter(arg => arg !== "-I");
+      const retry = await this.spawnProbe(command, udpArgs, parse, probe, options, diagnostics, onHop);
+      return retry.hops;
+    }
+
+    return run.hops;
+  }
+
+  /**
+   * One streaming run of a probe command. Resolves with { hops, stderr }.
+   */
+  spawnProbe(command, args, parse, probe, options, diagnostics, onHop) {
+    console.log(`🔍 Streaming: ${command} ${args.join(" ")}`);
+    this.recordEngine(diagnostics, command, [command, ...args].join(" "));
+
+    return new Promise(resolve => {
+      let output = "";
+      let pending = "";
+      let stderr = "";
+
+      const child = spawn(command, args, { signal: options.signal, windowsHide: true });
+
+      const timer = setTimeout(() => child.kill(), this.commandTimeout(probe, 120000));
+
+      // Warnings are collected once, from the full output below
+      const emitLine = line => {
+        for (const hop of parse(line, [])) onHop(hop);
+      };
+
+      child.stdout.on("data", chunk => {
+        const text = chunk.toString();
+        output += text;
+        pending += text;
+
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(emitLine);
+      });
+
+      child.stderr.on("data", chunk => {
+        stderr += chunk.toString();
+      });
+
+      child.on("error", error => {
+        console.error(`Streaming probe failed: ${error.message}`);
+      });
+
+      child.on("close", () => {
+        clearTimeout(timer);
+        if (pending) emitLine(pending);
+        resolve({ hops: parse(output, diagnostics.warnings), stderr });
+      });
+    });
+  }
+
+  /**
+   * traceroute's complaints when a probe method needs root / CAP_NET_RAW
+   */
+  isPermissionError(stderr) {
+    return /operation not permitted|not enough privileges|must be root/i.test(stderr || "");
+  }
+
+  /**
+   * Enrich, analyze and summarize parsed hops into the API result.
+   * options.emit(event, data) is called as each stage completes (used by streaming).
+   */
+  async buildTraceResult(domain, targetIp, hops, options = {}) {
+    const emit = options.emit || (() => {});
+
+    // Enrich each hop with geo + ASN data
+    // PTR lookups go through the same resolver as the target, when one was chosen
+    const resolver = DnsResolvers.isSystem(options.resolver) ? null : options.resolver.resolver;
+    const enrichedHops = await this.enrichHops(
+      hops,
+      hop => emit("enriched", hop),
+      { resolver }
+    );
+
+    // Flag (and relocate or drop) locations the hop RTTs make impossible
+    const geoCheck = geoValidationService.validate(enrichedHops);
+    geoCheck.hops.filter(hop => hop.geoFlag).forEach(hop => emit("geoFlag", hop));
+
+    // Trim trailing useless hops: full timeouts with no IP at the end
+    const cleanedHops = this.trimTrailingEmptyHops(geoCheck.hops);
+
+    console.log(`✅ Using ${cleanedHops.length} cleaned hops`);
+
+    // Analyze submarine cables - this will also set routeType for each hop
+    const cableInfo = await cableService.analyzeCableUsage(cleanedHops);
+    cableInfo.forEach(cable => emit("cable", cable));
+
+    // Calculate distances AFTER cable analysis (so we have routeType set)
+    const distances = this.calculateDistances(cleanedHops);
+
+    // Detect CDN
+    const cdnInfo = this.detectCDN(cleanedHops);
+
+    // Collapse hops into the AS-level path
+    const asAnalysis = asPathService.analyze(cleanedHops);
+
+    // Calculate total time - use last valid hop RTT
+    const totalTime = this.calculateTotalTime(cleanedHops);
+
+    return {
+      success: true,
+      traceId: crypto.randomUUID(),
+      domain,
+      targetIp,
+      ipVersion: IPUtils.family(targetIp),
+      target: options.target || null,
+      totalHops: cleanedHops.length,
+      totalDistance: distances.total,
+      landDistance: distances.land,
+      seaDistance: distances.sea,
+      totalTime,
+      hasCdn: cdnInfo.detected,
+      cdnProvider: cdnInfo.provider,
+      cdnHop: cdnInfo.hopNumber,
+      parisMode: Boolean(options.paris) && !this.isWindows,
+      probeOptions: this.resolveProbeOptions(options.probe),
+      multipathHops: cleanedHops.filter(hop => hop.multipath).map(hop => hop.hop),
+      geoValidation: geoCheck.summary,
+      hops: cleanedHops,
+      asPath: asAnalysis.asPath,
+      asLoops: asAnalysis.loops,
+      asTransitions: asAnalysis.transitions,
+      cables: cableInfo,
+      cableDataset: cableService.datasetInfo(),
+      diagnostics: options.diagnostics || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Turn the parsed target into the address to probe.
+   * IP literals skip DNS; internal names go through the system resolver
+   * (hosts file, search domains). Returns the target plus
+   * { address, record, addresses, resolver } (and records / cnameChain with
+   * options.dnsDetails) or null when nothing resolved.
+   * options.resolver: DnsResolvers selection; a non-system resolver always
+   * reports its full answers (records + cnameChain).
+   */
+  async resolveTarget(domain, options = {}) {
+    const target = options.target || { input: domain, type: "domain", host: domain };
+
+    if (target.type === "ip") {
+      return {
+        ...target,
+        address: target.host,
+        record: "literal",
+        addresses: [target.host],
+        records: [{ address: target.host, record: "literal", ttl: null }],
+        cnameChain: [],
+        resolver: null
+      };
+    }
+
+    const resolver = target.type === "internal"
+      ? DnsResolvers.system()
+      : options.resolver || DnsResolvers.system();
+
+    const resolved = await this.resolveDomain(target.host, options.ipVersion || "auto", {
+      systemOnly: target.type === "internal",
+      details: Boolean(options.dnsDetails) || !DnsResolvers.isSystem(resolver),
+      resolver
+    });
+    if (!resolved) return null;
+
+    const rejected = TargetUtils.checkResolved(target, resolved.addresses);
+    if (rejected) {
+      console.log(`⛔ ${target.host} resolves to non-allowlisted private addresses: ${rejected.addresses.join(", ")}`);
+      return { ...target, rejected };
+    }
+
+    return {
+      ...target,
+      ...resolved,
+      resolver: { name: resolver.name, servers: resolver.servers }
+    };
+  }
+
   /**
    * Resolve domain to IP address with fallback
+   * ipVersion 4 → A only, 6 → AAAA only, "auto" → A, then AAAA, then system lookup
+   * Returns { address, record: "A" | "AAAA" | "system", addresses } or null
+   * details: also return records [{ address, record, ttl }] and cnameChain
+   * resolver: DnsResolvers selection; the system lookup fallback only applies
+   * to the system resolver
    */
-  async resolveDomain(domain) {
-    try {
-      // Prefer IPv4
-      const addresses = await dns.resolve4(domain);
-      if (addresses && addresses.length > 0) return addresses[0];
+  async resolveDomain(domain, ipVersion = "auto", { systemOnly = false, details = false, resolver = null } = {}) {
+    const version = String(ipVersion);
+    const api = (resolver || DnsResolvers.system()).resolver;
+    const useSystemLookup = DnsResolvers.isSystem(resolver);
+
+    if (systemOnly) {
+      try {
+        const family = version === "4" || version === "6" ? Number(version) : 0;
+        const results = await dns.lookup(domain, { family, all: true });
+        if (results.length > 0) {
+          return {
+            address: results[0].address,
+            record: "system",
+            addresses: results.map(r => r.address),
+            records: results.map(r => ({ address: r.address, record: "system", ttl: null })),
+            cnameChain: []
+          };
+        }
+      } catch (error) {
+        console.error("DNS resolution failed:", error.message);
+      }
+      return null;
+    }
 
-      // Fallback
+    if (details) {
+      const resolved = await this.resolveAllRecords(domain, version, api);
+      if (resolved) return resolved;
+    }
+
+    if (version === "4" || version === "6") {
+      try {
+        const addresses =
+          version === "6"
+            ? await api.resolve6(domain)
+            : await api.resolve4(domain);
+        if (addresses && addresses.length > 0) {
+          return { address: addresses[0], record: version === "6" ? "AAAA" : "A", addresses };
+        }
+      } catch (error) {
+        console.error(`DNS resolution (IPv${version}) failed:`, error.message);
+      }
+      return null;
+    }
+
+    // Prefer IPv4, then IPv6 for IPv6-only targets
+    for (const [record, method] of [["A", "resolve4"], ["AAAA", "resolve6"]]) {
+      try {
+        const addresses = await api[method](domain);
+        if (addresses && addresses.length > 0) return { address: addresses[0], record, addresses };
+      } catch {}
+    }
+
+    if (!useSystemLookup) {
+      console.error(`DNS resolution through ${resolver.servers.join(", ")} failed`);
+      return null;
+    }
+
+    // Fallback
+    try {
       const anyAddress = await dns.lookup(domain);
-      return anyAddress.address;
+      return { address: anyAddress.address, record: "system", addresses: [anyAddress.address] };
     } catch (error) {
       console.error("DNS resolution failed:", error.message);
       return null;
     }
   }
 
+  /**
+   * Every A and/or AAAA record (A first) with TTLs, plus the CNAME chain
+   * api: dns.promises or a dns.Resolver. Returns null when no address record exists
+   */
+  async resolveAllRecords(domain, version = "auto", api = dns) {
+    const lookups = [];
+    if (version !== "6") lookups.push(["A", "resolve4"]);
+    if (version !== "4") lookups.push(["AAAA", "resolve6"]);
+
+    const answers = await Promise.all(
+      lookups.map(([record, method]) =>
+        api[method](domain, { ttl: true })
+          .then(list => list.map(({ address, ttl }) => ({ address, record, ttl })))
+          .catch(() => [])
+      )
+    );
+    const records = answers.flat();
+    if (records.length === 0) return null;
+
+    return {
+      address: records[0].address,
+      record: records[0].record,
+      addresses: records.map(r => r.address),
+      records,
+      cnameChain: await this.resolveCnameChain(domain, api)
+    };
+  }
+
+  /**
+   * Follow CNAMEs from domain: ["www.example.com", "example.cdn.net", ...]
+   * Empty when domain is not an alias
+   */
+  async resolveCnameChain(domain, api = dns, maxDepth = 10) {
+    const chain = [];
+    let name = domain;
+
+    while (chain.length < maxDepth) {
+      let next;
+      try {
+        [next] = await api.resolveCname(name);
+      } catch {
+        break;
+      }
+      if (!next || next === domain || chain.includes(next)) break;
+
+      if (chain.length === 0) chain.push(domain);
+      chain.push(next);
+      name = next;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Trace with the in-process raw-socket engine when it is usable.
+   * Returns [] when it is not (or fails before any hop) so callers fall back
+   * to the CLI tools; a later failure returns the hops already reported.
+   */
+  async runNativeProbe(ip, options = {}, onHop = () => {}) {
+    const probe = this.resolveProbeOptions(options.probe);
+    if (!nativeProbeService.supports(probe, options)) return [];
+
+    const hops = [];
+    try {
+      console.log(`🔍 Native ${probe.protocol} probe to ${ip}`);
+      if (options.diagnostics) this.recordEngine(options.diagnostics, "native", `native ${probe.protocol}`);
+      await nativeProbeService.trace(ip, probe, {
+        signal: options.signal,
+        onHop: hopData => {
+          const hop = this.finalizeHop(hopData, probe.probes);
+          hops.push(hop);
+          onHop(hop);
+        }
+      });
+
+      console.log("✅ Native probe completed");
+      return hops;
+    } catch (error) {
+      console.error("Native probe failed:", error.message);
+      // Hops already went out through onHop; a CLI rerun would repeat them
+      if (hops.length > 0) console.log(`⚠️  Keeping ${hops.length} native hops, no CLI fallback`);
+      return hops;
+    }
+  }
+
   /**
    * Run system traceroute command (Windows / Unix / mtr / fallbacks)
+   * options.probe is mapped onto each tool's flags (see *Args helpers below)
    */
-  async runTraceroute(ip) {
+  async runTraceroute(ip, options = {}) {
+    const probe = this.resolveProbeOptions(options.probe);
+    const probes = probe.probes;
+    const isV6 = IPUtils.isIPv6(ip);
+    const diagnostics = options.diagnostics || this.createDiagnostics();
+    const warnings = diagnostics.warnings;
+
+    const nativeHops = await this.runNativeProbe(ip, options);
+    if (nativeHops.length > 0) return nativeHops;
+
     try {
       let command;
 
       if (this.isWindows) {
+        if (options.paris) console.log("⚠️  tracert has no fixed-flow mode, ignoring paris option");
+
         // Windows tracert
-        command = `tracert -d -h 30 -w 3000 ${ip}`;
+        command = ["tracert", ...this.tracertArgs(ip, probe)].join(" ");
         console.log(`🔍 Running: ${command}`);
+        this.recordEngine(diagnostics, "tracert", command);
 
         const { stdout } = await execAsync(command, {
-          timeout: 120000,
+          timeout: this.commandTimeout(probe, 120000),
           maxBuffer: 1024 * 1024 * 10,
           windowsHide: true
         });
 
         console.log("✅ Windows tracert command completed");
-        return this.parseWindowsTracert(stdout);
+        return this.parseWindowsTracert(stdout, warnings);
       } else {
         // Try mtr first
         try {
           console.log("🔄 Trying mtr command...");
-          command = `mtr --report --report-cycles 3 --no-dns ${ip}`;
+          command = ["mtr", ...this.mtrArgs(ip, probe, options.paris)].join(" ");
+          this.recordEngine(diagnostics, "mtr", command);
           const { stdout } = await execAsync(command, {
-            timeout: 45000,
+            timeout: this.commandTimeout(probe, 45000),
             maxBuffer: 1024 * 1024
           });
           console.log("✅ mtr command completed");
-          return this.parseMtrOutput(stdout);
+          return this.parseMtrOutput(stdout, warnings);
         } catch (mtrError) {
           console.log("⚠️  mtr failed, trying traceroute...");
 
           try {
-            if (this.isLinux) {
-              command = `traceroute -n -I -q 3 -m 30 -w 2 ${ip}`;
-            } else if (this.isMac) {
-              command = `traceroute -n -I -q 3 -m 30 -w 2 ${ip}`;
-            } else {
-              command = `traceroute -n -q 3 -m 30 -w 2 ${ip}`;
-            }
+            command = [
+              this.tracerouteCommand(ip),
+              ...this.tracerouteArgs(ip, probe, options.paris)
+            ].join(" ");
 
             console.log(`🔍 Running: ${command}`);
+            this.recordEngine(diagnostics, "traceroute", command);
             const { stdout, stderr } = await execAsync(command, {
-              timeout: 60000,
+              timeout: this.commandTimeout(probe, 60000),
               maxBuffer: 1024 * 1024
             });
 
             // Handle ICMP permission problems
-            if (stderr && stderr.includes("Operation not permitted")) {
+            if (this.isPermissionError(stderr)) {
               console.log("⚠️  ICMP permission denied, trying without -I flag...");
               const noICMP = command.replace(" -I ", " ");
               const { stdout: stdout2 } = await execAsync(noICMP, {
-                timeout: 60000,
+                timeout: this.commandTimeout(probe, 60000),
                 maxBuffer: 1024 * 1024
               });
               console.log("✅ traceroute command completed (without ICMP)");
-              return this.parseTracerouteOutput(stdout2);
+              return this.parseTracerouteOutput(stdout2, probes, warnings);
             }
 
             console.log("✅ traceroute command completed");
-            return this.parseTracerouteOutput(stdout);
+            return this.parseTracerouteOutput(stdout, probes, warnings);
           } catch (tracerouteError) {
             console.error("Traceroute failed:", tracerouteError.message);
 
             // Try partial output if we have it
             if (tracerouteError.stdout) {
               console.log("⚠️  Attempting to parse partial traceroute output...");
-              const partialHops = this.parseTracerouteOutput(tracerouteError.stdout);
+              const partialHops = this.parseTracerouteOutput(tracerouteError.stdout, probes, warnings);
               if (partialHops.length > 0) {
                 console.log(
                   `✅ Recovered ${partialHops.length} hops from partial output`
@@ -193,16 +705,23 @@ class TracerouteService {
               }
             }
 
+            // tcptraceroute has no IPv6 support
+            if (isV6) {
+              console.error("All IPv6 traceroute methods failed");
+              return [];
+            }
+
             // Final fallback: tcptraceroute
             console.log("🔄 Trying tcptraceroute as last resort...");
             try {
-              command = `tcptraceroute -n -q 3 -m 30 ${ip} 80`;
+              command = ["tcptraceroute", ...this.tcptracerouteArgs(ip, probe)].join(" ");
+              this.recordEngine(diagnostics, "tcptraceroute", command);
               const { stdout } = await execAsync(command, {
-                timeout: 60000,
+                timeout: this.commandTimeout(probe, 60000),
                 maxBuffer: 1024 * 1024
               });
               console.log("✅ tcptraceroute command completed");
-              return this.parseTcptracerouteOutput(stdout);
+              return this.parseTcptracerouteOutput(stdout, probes, warnings);
             } catch {
               console.error("All traceroute methods failed");
               return [];
@@ -217,8 +736,8 @@ class TracerouteService {
       if (error.stdout) {
         console.log("⚠️  Attempting to parse partial output from error...");
         const partialHops = this.isWindows
-          ? this.parseWindowsTracert(error.stdout)
-          : this.parseTracerouteOutput(error.stdout);
+          ? this.parseWindowsTracert(error.stdout, warnings)
+          : this.parseTracerouteOutput(error.stdout, probes, warnings);
 
         if (partialHops.length > 0) {
           console.log(
@@ -233,73 +752,289 @@ class TracerouteService {
     }
   }
 
+  /**
+   * Per-trace record of how the hops were obtained: the engine that
+   * produced them, every command tried and parser warnings
+   */
+  createDiagnostics() {
+    return { engine: null, attempts: [], warnings: [] };
+  }
+
+  recordEngine(diagnostics, engine, command) {
+    diagnostics.engine = engine;
+    diagnostics.attempts.push({ engine, command });
+  }
+
+  /**
+   * Fill unset probe options from the server defaults (config/probe.js).
+   * Bounds are enforced by the route; this only supplies defaults.
+   */
+  resolveProbeOptions(probe = {}) {
+    const resolved = { ...probeConfig.defaults };
+    for (const [key, value] of Object.entries(probe || {})) {
+      if (value != null) resolved[key] = value;
+    }
+
+    if (resolved.port == null && resolved.protocol !== "icmp") {
+      resolved.port = probeConfig.defaultPorts[resolved.protocol];
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Command timeout that grows with the requested hop count and probe wait
+   */
+  commandTimeout(probe, base) {
+    return Math.min(300000, Math.max(base, probe.maxHops * probe.timeoutMs * 2));
+  }
+
+  /**
+   * Per-probe wait in whole seconds (traceroute -w, mtr --timeout)
+   */
+  waitSeconds(probe) {
+    return Math.max(1, Math.ceil(probe.timeoutMs / 1000));
+  }
+
+  /**
+   * Windows tracert: ICMP only, no probe count, port or first TTL
+   */
+  tracertArgs(ip, probe) {
+    const ignored = ["port", "firstTtl", "packetSize"].filter(
+      key => probe[key] != null && probe[key] !== probeConfig.defaults[key]
+    );
+    if (probe.protocol !== "icmp") ignored.unshift("protocol");
+    if (probe.probes !== TRACERT_PROBES) ignored.push("probes");
+    if (ignored.length > 0) {
+      console.log(`⚠️  tracert does not support ${ignored.join(", ")}, ignoring`);
+    }
+
+    return [
+      ...(IPUtils.isIPv6(ip) ? ["-6"] : []),
+      "-d", "-h", String(probe.maxHops), "-w", String(probe.timeoutMs), ip
+    ];
+  }
+
+  /**
+   * mtr --report: ICMP by default, --udp / --tcp with a destination port
+   */
+  mtrArgs(ip, probe, paris = false) {
+    const args = IPUtils.isIPv6(ip) ? ["-6"] : [];
+
+    if (probe.protocol === "tcp") {
+      args.push("--tcp", "--port", String(probe.port));
+    } else if (probe.protocol === "udp" || paris) {
+      // Paris mode: fixed ports so every probe hashes onto the same ECMP path
+      args.push("--udp", "--port", String(probe.port || PARIS_PORT));
+      if (paris) args.push("--localport", String(PARIS_PORT));
+    }
+
+    args.push(
+      "--report",
+      "--report-cycles", String(probe.probes),
+      "--first-ttl", String(probe.firstTtl),
+      "--max-ttl", String(probe.maxHops),
+      "--timeout", String(this.waitSeconds(probe))
+    );
+    if (probe.packetSize) args.push("--psize", String(probe.packetSize));
+
+    args.push("--no-dns", ip);
+    return args;
+  }
+
+  /**
+   * Binary name for the BSD / Linux traceroute
+   * macOS ships IPv6 support as a separate traceroute6 binary
+   */
+  tracerouteCommand(ip) {
+    return this.isMac && IPUtils.isIPv6(ip) ? "traceroute6" : "traceroute";
+  }
+
+  /**
+   * traceroute / traceroute6 arguments (shared by the buffered and streaming runs)
+   */
+  tracerouteArgs(ip, probe, paris = false) {
+    const args = IPUtils.isIPv6(ip) && !this.isMac ? ["-6"] : [];
+    args.push("-n");
+
+    if (probe.protocol === "icmp") {
+      // Paris mode: single flow through UDP to a fixed port (-U) or Paris-style ports (-e)
+      args.push(paris ? (this.isMac ? "-e" : "-U") : "-I");
+    } else if (probe.protocol === "tcp") {
+      args.push(...(this.isMac ? ["-P", "tcp"] : ["-T"]), "-p", String(probe.port));
+    } else {
+      if (paris) args.push(this.isMac ? "-e" : "-U");
+      args.push("-p", String(probe.port));
+    }
+
+    args.push(
+      "-q", String(probe.probes),
+      "-f", String(probe.firstTtl),
+      "-m", String(probe.maxHops),
+      "-w", String(this.waitSeconds(probe)),
+      ip
+    );
+    if (probe.packetSize) args.push(String(probe.packetSize));
+
+    return args;
+  }
+
+  /**
+   * tcptraceroute: always TCP SYN, port defaults to 80
+   */
+  tcptracerouteArgs(ip, probe) {
+    const port = probe.protocol === "tcp" ? probe.port : probeConfig.defaultPorts.tcp;
+    const args = [
+      "-n",
+      "-q", String(probe.probes),
+      "-f", String(probe.firstTtl),
+      "-m", String(probe.maxHops),
+      "-w", String(this.waitSeconds(probe)),
+      ip, String(port)
+    ];
+    if (probe.packetSize) args.push(String(probe.packetSize));
+
+    return args;
+  }
+
   /**
    * Parse tcptraceroute output
+   * Unusable lines are reported through warnings (see parseWarning)
    */
-  parseTcptracerouteOutput(output) {
+  parseTcptracerouteOutput(output, probes = this.probesPerHop, warnings = []) {
     const lines = output.split("\n");
-    const hops = [];
+    const hopMap = new Map();
 
-    for (const line of lines) {
-      const match = line.match(
-        /^\s*(\d+)\s+(\d+\.\d+\.\d+\.\d+)\s+(?:([\d.]+) ms\s*)?(?:([\d.]+) ms\s*)?(?:([\d.]+) ms)?/
-      );
+    lines.forEach((line, index) => {
+      if (!line.trim() || /^(Selected device|Tracing the path)/.test(line.trim())) return;
 
-      if (match) {
-        const [, hopNum, ip, rtt1, rtt2, rtt3] = match;
-
-        const rtts = [];
-        if (rtt1) rtts.push(parseFloat(rtt1));
-        if (rtt2) rtts.push(parseFloat(rtt2));
-        if (rtt3) rtts.push(parseFloat(rtt3));
-
-        const avgRtt =
-          rtts.length > 0
-            ? rtts.reduce((a, b) => a + b, 0) / rtts.length
-            : null;
-        const loss = ((3 - rtts.length) / 3) * 100;
-
-        hops.push({
-          hop: parseInt(hopNum, 10),
-          ip,
-          rtt: avgRtt,
-          loss,
-          timeout: !avgRtt,
-          isPrivate: this.isPrivateIP(ip)
-        });
+      const match = line.match(/^\s*(\d+)\s+(.*)/);
+      if (!match) {
+        this.parseWarning(warnings, "tcptraceroute", index, line, "unrecognized line");
+        return;
       }
-    }
 
-    return hops;
+      const [, hopNum, rest] = match;
+      if (!IPUtils.extractIP(rest) && !/ms|\*/.test(rest)) {
+        this.parseWarning(warnings, "tcptraceroute", index, line, "no address, RTT or lost probe");
+        return;
+      }
+
+      const hop = parseInt(hopNum, 10);
+      if (!hopMap.has(hop)) hopMap.set(hop, { hop, responders: [] });
+
+      this.parseProbeTokens(rest, hopMap.get(hop));
+    });
+
+    return [...hopMap.values()]
+      .map(hopData => this.finalizeHop(hopData, probes))
+      .sort((a, b) => a.hop - b.hop);
   }
 
   /**
-   * Check if IP is private
+   * Check if IP is private (RFC1918, ULA, loopback, link-local)
    */
   isPrivateIP(ip) {
-    if (!ip) return false;
-
-    const privateRanges = [
-      /^10\./, // 10.0.0.0/8
-      /^172\.(1[6-9]|2[0-9]|3[0-1])\./, // 172.16.0.0/12
-      /^192\.168\./, // 192.168.0.0/16
-      /^127\./, // loopback
-      /^169\.254\./ // link‑local
-      // If you want IPv6, you can extend here
-    ];
+    return IPUtils.isPrivateIP(ip);
+  }
+
+  /**
+   * Record a line a parser could not use. Parsers never throw on odd
+   * output; the warnings end up in the API response under diagnostics.
+   */
+  parseWarning(warnings, parser, index, line, reason) {
+    warnings.push({ parser, line: index + 1, text: line.trim(), reason });
+  }
+
+  /**
+   * Responder entry for an IP on a hop (created on first sight)
+   */
+  addResponder(hopData, ip) {
+    let responder = hopData.responders.find(r => r.ip === ip);
+    if (!responder) {
+      responder = { ip, samples: [] };
+      hopData.responders.push(responder);
+    }
+    return responder;
+  }
 
-    return privateRanges.some(rx => rx.test(ip));
+  /**
+   * Walk a traceroute/tcptraceroute hop line in order. Each address starts a
+   * new responder and the RTTs that follow belong to it, e.g. ECMP lines:
+   *   "10.0.0.1  1.0 ms 10.0.0.2  2.0 ms  2.1 ms"
+   * "*" entries are lost probes.
+   */
+  parseProbeTokens(text, hopData) {
+    let current = hopData.responders[hopData.responders.length - 1] || null;
+    const tokens = /\(([^)]+)\)|(\*)|([\d.]+)\s*ms|(\S+)/g;
+
+    for (const m of text.matchAll(tokens)) {
+      if (m[2]) continue;
+
+      if (m[3] !== undefined) {
+        const v = parseFloat(m[3]);
+        if (Number.isNaN(v)) continue;
+        if (!current) current = this.addResponder(hopData, null);
+        current.samples.push(v);
+        continue;
+      }
+
+      const candidate = (m[1] || m[4]).replace(/^\[|\]$/g, "");
+      if (IPUtils.family(candidate)) {
+        current = this.addResponder(hopData, candidate);
+      }
+    }
   }
 
   /**
-   * Parse Windows tracert output
+   * Build the hop object shared by all parsers from its responders.
+   * The primary responder (most replies) provides hop.ip; every address
+   * that answered at this TTL is kept in hop.responders.
    */
-  parseWindowsTracert(output) {
+  finalizeHop({ hop, responders }, probes) {
+    const answered = responders.filter(r => r.ip);
+    const samples = responders.flatMap(r => r.samples);
+    const primary = answered.reduce(
+      (best, r) => (!best || r.samples.length > best.samples.length ? r : best),
+      null
+    );
+    const ip = primary ? primary.ip : null;
+
+    const rttStats = Calculations.rttStats(samples);
+    const timeout = !ip || samples.length === 0;
+    const sent = Math.max(probes, samples.length);
+
+    return {
+      hop,
+      ip,
+      rtt: timeout ? null : rttStats.avg,
+      rttStats,
+      samples,
+      probes: sent,
+      loss: timeout ? 100 : Math.round(((sent - samples.length) / sent) * 1000) / 10,
+      timeout,
+      isPrivate: this.isPrivateIP(ip),
+      responders: answered.map(r => ({
+        ip: r.ip,
+        samples: r.samples,
+        rttStats: Calculations.rttStats(r.samples),
+        isPrivate: this.isPrivateIP(r.ip)
+      })),
+      multipath: answered.length > 1
+    };
+  }
+
+  /**
+   * Parse Windows tracert output (always 3 probes per hop)
+   * RTT columns come before the address; extra lines for the same hop
+   * (load-balanced replies) add responders
+   */
+  parseWindowsTracert(output, warnings = []) {
     const lines = output.split("\n");
     const hopMap = new Map();
     let currentHop = null;
 
-    for (const rawLine of lines) {
+    lines.forEach((rawLine, index) => {
       const line = rawLine.trim();
 
       if (
@@ -308,217 +1043,327 @@ class TracerouteService {
         line.includes("Trace complete") ||
         line === ""
       ) {
-        continue;
+        return;
       }
 
       const hopMatch = line.match(/^(\d+)\s+/);
       if (!hopMatch) {
         // Continuation line with RTTs maybe
-        if (currentHop && line.includes("ms") && !line.includes("*")) {
-          this.parseTracertRTTLine(line, currentHop);
+        if (currentHop && line.includes("ms")) {
+          this.parseTracertLine(line, currentHop);
+        } else {
+          this.parseWarning(warnings, "tracert", index, line, "unrecognized line");
         }
-        continue;
+        return;
       }
 
       const hopNum = parseInt(hopMatch[1], 10);
 
       if (!hopMap.has(hopNum)) {
-        hopMap.set(hopNum, {
-          hop: hopNum,
-          ip: null,
-          rtts: [],
-          timeout: false,
-          isPrivate: false
-        });
+        hopMap.set(hopNum, { hop: hopNum, responders: [] });
       }
 
       currentHop = hopMap.get(hopNum);
 
-      // Timeout line
-      if (line.includes("*") || line.toLowerCase().includes("request timed out")) {
-        currentHop.timeout = true;
-        continue;
+      // Full timeout line
+      if (line.toLowerCase().includes("request timed out")) {
+        return;
       }
 
-      // Extract IP
-      const ipMatch = line.match(
-        /(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/
-      );
-      if (ipMatch) {
-        const ip = ipMatch[1];
-        currentHop.ip = ip;
-        currentHop.isPrivate = this.isPrivateIP(ip);
-        currentHop.timeout = false;
+      const rest = line.replace(/^\d+\s+/, "");
+      if (!/ms|\*/i.test(rest) && !IPUtils.extractIP(rest)) {
+        this.parseWarning(warnings, "tracert", index, line, "no address, RTT or lost probe");
+        return;
       }
 
-      // Extract RTTs
-      this.parseTracertRTTLine(line, currentHop);
-    }
-
-    const hops = [];
+      this.parseTracertLine(rest, currentHop);
+    });
 
-    for (const [, hopData] of hopMap) {
-      let rtt = null;
-      let loss = 0;
-
-      if (hopData.timeout || !hopData.ip) {
-        rtt = null;
-        loss = 100;
-      } else if (hopData.rtts.length > 0) {
-        rtt =
-          hopData.rtts.reduce((a, b) => a + b, 0) / hopData.rtts.length;
-        loss = ((3 - hopData.rtts.length) / 3) * 100;
-      }
-
-      hops.push({
-        hop: hopData.hop,
-        ip: hopData.ip,
-        rtt,
-        loss: Math.min(loss, 100),
-        timeout: hopData.timeout || !hopData.ip,
-        isPrivate: hopData.isPrivate
-      });
-    }
-
-    hops.sort((a, b) => a.hop - b.hop);
-    return hops;
+    return [...hopMap.values()]
+      .map(hopData => this.finalizeHop(hopData, TRACERT_PROBES))
+      .sort((a, b) => a.hop - b.hop);
   }
 
   /**
-   * Parse RTT measurements from Windows tracert line
+   * Parse one tracert line: RTTs ("<1 ms" counts as 1, "*" is a lost probe)
+   * followed by the responding address (v4/v6, possibly bracketed)
    */
-  parseTracertRTTLine(line, hopData) {
-    const matches = [...line.matchAll(/(?:<)?(\d+)\s*ms/gi)];
-    for (const m of matches) {
+  parseTracertLine(line, hopData) {
+    const samples = [...line.matchAll(/(?:<)?(\d+)\s*ms/gi)].map(m => {
       const v = parseInt(m[1], 10);
-      hopData.rtts.push(Number.isNaN(v) ? 1 : v);
-    }
+      return Number.isNaN(v) ? 1 : v;
+    });
+
+    const ip = IPUtils.extractIP(line);
+    const responder = ip
+      ? this.addResponder(hopData, ip)
+      : hopData.responders[hopData.responders.length - 1] || this.addResponder(hopData, null);
+
+    responder.samples.push(...samples);
   }
 
   /**
-   * Parse mtr output
-   * mtr --report --no-dns: "hop. ip loss% sent last avg best worst"
+   * Parse mtr output: --json and --raw are detected and handed to their
+   * parsers, anything else is read as a report.
+   * mtr --report --no-dns, old and current layouts:
+   *   " 1. 10.0.0.1     0.0%  3  0.5  0.6  0.5  0.7  0.1"
+   *   " 1.|-- 10.0.0.1  0.0%  3  0.5  0.6  0.5  0.7  0.1"
+   * "???" hosts are hops where nothing answered (loss may lack the "%").
+   * The report only has aggregates, so samples stay empty. Extra addresses
+   * seen at a hop are listed below it as "|  `|-- 10.0.0.2".
    */
-  parseMtrOutput(output) {
+  parseMtrOutput(output, warnings = []) {
+    const text = output.trim();
+    if (text.startsWith("{")) return this.parseMtrJson(text, warnings);
+    if (/^[xhpdt] \d+\s/.test(text)) return this.parseMtrRaw(text, this.probesPerHop, warnings);
+
     const lines = output.split("\n");
     const hops = [];
 
-    for (const line of lines) {
+    lines.forEach((line, index) => {
+      if (!line.trim() || /^\s*(Start:|HOST:)/.test(line)) return;
+
+      const extra = line.match(/^\s*\|\s*`\|--\s+(\S+)/);
+      if (extra) {
+        if (hops.length === 0 || !IPUtils.family(extra[1])) {
+          this.parseWarning(warnings, "mtr", index, line, "unusable extra responder");
+          return;
+        }
+
+        const last = hops[hops.length - 1];
+        if (!last.responders.some(r => r.ip === extra[1])) {
+          last.responders.push({
+            ip: extra[1],
+            samples: [],
+            rttStats: Calculations.rttStats([]),
+            isPrivate: this.isPrivateIP(extra[1])
+          });
+          last.multipath = true;
+        }
+        return;
+      }
+
       const match = line.match(
-        /^\s*(\d+)\.\s+(\S+)\s+([\d.]+)%\s+\d+\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)/
+        /^\s*(\d+)\.(?:\|--)?\s+(\S+)\s+([\d.]+)%?\s+(\d+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s+([\d.]+))?/
       );
-      if (!match) continue;
+      if (!match) {
+        this.parseWarning(warnings, "mtr", index, line, "unrecognized line");
+        return;
+      }
 
-      const [, hopNum, host, lossPercent, lastRtt, avgRtt] = match;
+      const [, hopNum, host, loss, sent, last, avg, best, worst, stdev] = match;
+      const hop = parseInt(hopNum, 10);
 
-      // mtr host may be IP or hostname; we only take valid IPv4 here
-      const ipMatch = host.match(
-        /^(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})$/
-      );
-      if (!ipMatch) continue;
+      // Nothing answered at this TTL
+      if (host === "???") {
+        hops.push(this.finalizeHop({ hop, responders: [] }, parseInt(sent, 10)));
+        return;
+      }
 
-      const ip = ipMatch[1];
+      // mtr host may be IP or hostname; we only take IP literals here
+      if (!IPUtils.family(host)) {
+        this.parseWarning(warnings, "mtr", index, line, "hostname instead of address (run with --no-dns)");
+        return;
+      }
 
-      hops.push({
-        hop: parseInt(hopNum, 10),
-        ip,
-        rtt: parseFloat(avgRtt) || parseFloat(lastRtt) || null,
-        loss: parseFloat(lossPercent) || 0,
-        timeout: false,
-        isPrivate: this.isPrivateIP(ip)
-      });
-    }
+      hops.push(this.mtrHop(hop, host, { loss, sent, last, avg, best, worst, stdev }));
+    });
 
     return hops;
   }
 
   /**
-   * Parse standard traceroute output (Unix)
+   * mtr --json: report.hubs[] with count (the hop, a string in older mtr),
+   * host, "Loss%", Snt, Last, Avg, Best, Wrst and StDev. Aggregates only,
+   * like the report; warnings point at the hub's index.
    */
-  parseTracerouteOutput(output) {
-    const lines = output.split("\n");
-    const hopMap = new Map();
+  parseMtrJson(output, warnings = []) {
+    let hubs;
+    try {
+      hubs = JSON.parse(output).report?.hubs;
+    } catch (error) {
+      this.parseWarning(warnings, "mtr", 0, output.split("\n")[0], `invalid JSON (${error.message})`);
+      return [];
+    }
 
-    for (const rawLine of lines) {
-      const line = rawLine.trim();
-      if (!line || line.startsWith("traceroute")) continue;
+    if (!Array.isArray(hubs)) {
+      this.parseWarning(warnings, "mtr", 0, output.split("\n")[0], "no report.hubs in JSON");
+      return [];
+    }
 
-      const hopMatch = line.match(/^\s*(\d+)\s+(.*)/);
-      if (!hopMatch) continue;
+    const hops = [];
 
-      const hopNum = parseInt(hopMatch[1], 10);
-      const rest = hopMatch[2];
+    hubs.forEach((hub, index) => {
+      const hop = parseInt(hub.count, 10);
+      if (Number.isNaN(hop)) {
+        this.parseWarning(warnings, "mtr", index, JSON.stringify(hub), "hub without a hop number");
+        return;
+      }
 
-      if (!hopMap.has(hopNum)) {
-        hopMap.set(hopNum, {
-          hop: hopNum,
-          ip: null,
-          rtts: [],
-          timeout: false,
-          isPrivate: false
-        });
+      if (!hub.host || hub.host === "???") {
+        hops.push(this.finalizeHop({ hop, responders: [] }, parseInt(hub.Snt, 10) || 0));
+        return;
       }
 
-      const hopData = hopMap.get(hopNum);
+      // "dns.google (8.8.8.8)" when mtr ran with -b
+      const ip = IPUtils.family(hub.host) ? hub.host : IPUtils.extractIP(hub.host);
+      if (!ip) {
+        this.parseWarning(warnings, "mtr", index, JSON.stringify(hub), "hostname instead of address (run with --no-dns)");
+        return;
+      }
 
-      // Timeouts
-      if (rest.includes("*")) {
-        hopData.timeout = true;
-        continue;
+      hops.push(this.mtrHop(hop, ip, {
+        loss: hub["Loss%"],
+        sent: hub.Snt,
+        last: hub.Last,
+        avg: hub.Avg,
+        best: hub.Best,
+        worst: hub.Wrst,
+        stdev: hub.StDev
+      }));
+    });
+
+    return hops.sort((a, b) => a.hop - b.hop);
+  }
+
+  /**
+   * mtr --raw: one event per line, hop positions counted from 0
+   *   "x 0 33000"      probe sent (position, sequence)
+   *   "h 0 10.0.0.1"   address at a position; later replies there are its
+   *   "p 0 512 33000"  reply (position, microseconds, sequence)
+   *   "d 0 name"       reverse DNS, not used
+   * Unlike the report this carries every sample. Without "x" lines
+   * (older mtr) each hop counts as probed `probes` times.
+   */
+  parseMtrRaw(output, probes = this.probesPerHop, warnings = []) {
+    const hopMap = new Map();
+    const current = new Map();
+    const sent = new Map();
+
+    const hopAt = position => {
+      const hop = position + 1;
+      if (!hopMap.has(hop)) hopMap.set(hop, { hop, responders: [] });
+      return hopMap.get(hop);
+    };
+
+    output.split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+
+      const match = line.trim().match(/^([xhpdt])\s+(\d+)\s+(\S+)/);
+      if (!match) {
+        this.parseWarning(warnings, "mtr", index, line, "unrecognized raw line");
+        return;
       }
 
-      hopData.timeout = false;
+      const [, type, positionText, value] = match;
+      const position = parseInt(positionText, 10);
 
-      // IP
-      const ipMatch = rest.match(
-        /(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/
-      );
-      if (ipMatch) {
-        hopData.ip = ipMatch[1];
-        hopData.isPrivate = this.isPrivateIP(hopData.ip);
+      if (type === "x") {
+        hopAt(position);
+        sent.set(position, (sent.get(position) || 0) + 1);
+      } else if (type === "h") {
+        if (!IPUtils.family(value)) {
+          this.parseWarning(warnings, "mtr", index, line, "hostname instead of address (run with --no-dns)");
+          return;
+        }
+        current.set(position, this.addResponder(hopAt(position), value));
+      } else if (type === "p") {
+        const usec = parseFloat(value);
+        if (Number.isNaN(usec)) {
+          this.parseWarning(warnings, "mtr", index, line, "reply without a round-trip time");
+          return;
+        }
+        const hopData = hopAt(position);
+        const responder = current.get(position) || this.addResponder(hopData, null);
+        current.set(position, responder);
+        responder.samples.push(Math.round(usec) / 1000);
       }
+    });
+
+    return [...hopMap.values()]
+      .map(hopData => this.finalizeHop(hopData, sent.get(hopData.hop - 1) || probes))
+      .sort((a, b) => a.hop - b.hop);
+  }
+
+  /**
+   * Hop from mtr aggregates (report line or JSON hub)
+   */
+  mtrHop(hop, ip, { loss, sent, last, avg, best, worst, stdev }) {
+    const rtt = parseFloat(avg) || parseFloat(last) || null;
+    const rttStats = {
+      min: parseFloat(best),
+      avg: rtt,
+      max: parseFloat(worst),
+      stdev: stdev != null ? parseFloat(stdev) : null,
+      jitter: null
+    };
 
-      // RTTs
-      const rttMatches = [...rest.matchAll(/([\d.]+)\s*ms/g)];
-      for (const m of rttMatches) {
-        const v = parseFloat(m[1]);
-        if (!Number.isNaN(v)) hopData.rtts.push(v);
+    return {
+      hop,
+      ip,
+      rtt,
+      rttStats,
+      samples: [],
+      probes: parseInt(sent, 10),
+      loss: parseFloat(loss) || 0,
+      timeout: false,
+      isPrivate: this.isPrivateIP(ip),
+      responders: [{ ip, samples: [], rttStats, isPrivate: this.isPrivateIP(ip) }],
+      multipath: false
+    };
+  }
+
+  /**
+   * Parse standard traceroute output (Linux, BSD / macOS)
+   * BSD prints extra responders for a TTL on unnumbered lines below the hop
+   */
+  parseTracerouteOutput(output, probes = this.probesPerHop, warnings = []) {
+    const lines = output.split("\n");
+    const hopMap = new Map();
+    let currentHop = null;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("traceroute")) return;
+
+      const hopMatch = line.match(/^\s*(\d+)\s+(.*)/);
+      const rest = hopMatch ? hopMatch[2] : line;
+
+      if (!IPUtils.extractIP(rest) && !/ms|\*/.test(rest)) {
+        this.parseWarning(warnings, "traceroute", index, rawLine, "no address, RTT or lost probe");
+        return;
       }
-    }
 
-    const hops = [];
+      if (!hopMatch) {
+        if (!currentHop) {
+          this.parseWarning(warnings, "traceroute", index, rawLine, "continuation line before first hop");
+          return;
+        }
+        this.parseProbeTokens(rest, currentHop);
+        return;
+      }
 
-    for (const [, hopData] of hopMap) {
-      let rtt = null;
-      let loss = 0;
-
-      if (hopData.timeout || !hopData.ip) {
-        rtt = null;
-        loss = 100;
-      } else if (hopData.rtts.length > 0) {
-        rtt =
-          hopData.rtts.reduce((a, b) => a + b, 0) / hopData.rtts.length;
-        loss = ((3 - hopData.rtts.length) / 3) * 100;
-      }
-
-      hops.push({
-        hop: hopData.hop,
-        ip: hopData.ip,
-        rtt,
-        loss: Math.min(loss, 100),
-        timeout: hopData.timeout || !hopData.ip,
-        isPrivate: hopData.isPrivate
-      });
-    }
+      const hopNum = parseInt(hopMatch[1], 10);
 
-    hops.sort((a, b) => a.hop - b.hop);
-    return hops;
+      if (!hopMap.has(hopNum)) {
+        hopMap.set(hopNum, { hop: hopNum, responders: [] });
+      }
+
+      currentHop = hopMap.get(hopNum);
+      this.parseProbeTokens(rest, currentHop);
+    });
+
+    return [...hopMap.values()]
+      .map(hopData => this.finalizeHop(hopData, probes))
+      .sort((a, b) => a.hop - b.hop);
   }
 
   /**
    * Enrich hops with geolocation and ASN data
+   * onHop(hop) is called as soon as each hop is enriched
+   * options.resolver: dns.Resolver for PTR lookups (system resolver when null)
    */
-  async enrichHops(hops) {
+  async enrichHops(hops, onHop = () => {}, { resolver = null } = {}) {
     const enriched = [];
 
     for (const hop of hops) {
@@ -530,36 +1375,54 @@ class TracerouteService {
           lon: null,
           city: hop.isPrivate ? "Private Network" : "Unknown",
           country: hop.isPrivate ? "Local" : "Unknown",
+          countryCode: null,
+          rdns: null,
+          geoSource: null,
+          providerLocation: null,
+          rdnsHint: null,
           asn: hop.isPrivate ? "Private" : "Unknown",
           asnOrg: hop.isPrivate ? "Private Network" : "Unknown",
           isCdn: false,
           cdnProvider: null,
           routeType: "land",
           cableUsed: null,
+          cablePath: null,
           location: hop.isPrivate ? "Private IP Range" : "Unresolved"
         });
+        onHop(enriched[enriched.length - 1]);
         continue;
       }
 
       try {
         // Important: await both (your geoService is async now)
-        const [geo, asn] = await Promise.all([
-          geoService.getGeoLocation(hop.ip),
-          asnService.getASN(hop.ip)
+        const [geo, asn, responders] = await Promise.all([
+          geoService.getGeoLocation(hop.ip, { resolver }),
+          asnService.getASN(hop.ip),
+          this.enrichResponders(hop.responders || [], { resolver })
         ]);
 
         enriched.push({
           ...hop,
+          responders,
           lat: geo.lat,
           lon: geo.lon,
           city: geo.city || "Unknown",
           country: geo.country || "Unknown",
+          countryCode: this.countryCode(geo),
+          rdns: geo.rdns || null,
+          geoProvider: geo.provider || null,
+          geoSource: geo.source || null,
+          geoConfidence: geo.confidence ?? null,
+          providerLocation: geo.providerLocation || null,
+          rdnsHint: geo.rdnsHint || null,
           asn: asn.asn || "Unknown",
           asnOrg: asn.org || "Unknown",
+          asnSource: asn.source || null,
           isCdn: asn.isCdn || false,
           cdnProvider: asn.cdnProvider || null,
           routeType: "land", // may be updated by cableService
           cableUsed: null,
+          cablePath: null,
           location:
             geo.city && geo.country
               ? `${geo.city}, ${geo.country}`
@@ -576,20 +1439,78 @@ class TracerouteService {
           lon: null,
           city: "Error",
           country: "Error",
+          countryCode: null,
+          rdns: null,
+          geoSource: null,
+          providerLocation: null,
+          rdnsHint: null,
           asn: "Error",
           asnOrg: "Error",
           isCdn: false,
           cdnProvider: null,
           routeType: "land",
           cableUsed: null,
+          cablePath: null,
           location: "Failed to resolve"
         });
       }
+
+      onHop(enriched[enriched.length - 1]);
     }
 
     return enriched;
   }
 
+  /**
+   * Geo + ASN for every address that answered at a hop (ECMP)
+   */
+  async enrichResponders(responders, { resolver = null } = {}) {
+    return Promise.all(
+      responders.map(async responder => {
+        if (responder.isPrivate) {
+          return {
+            ...responder,
+            lat: null,
+            lon: null,
+            city: "Private Network",
+            country: "Local",
+            countryCode: null,
+            asn: "Private",
+            asnOrg: "Private Network"
+          };
+        }
+
+        try {
+          const [geo, asn] = await Promise.all([
+            geoService.getGeoLocation(responder.ip, { resolver }),
+            asnService.getASN(responder.ip)
+          ]);
+
+          return {
+            ...responder,
+            lat: geo.lat,
+            lon: geo.lon,
+            city: geo.city || "Unknown",
+            country: geo.country || "Unknown",
+            countryCode: this.countryCode(geo),
+            asn: asn.asn || "Unknown",
+            asnOrg: asn.org || "Unknown"
+          };
+        } catch (err) {
+          console.error(`Error enriching responder ${responder.ip}:`, err.message);
+          return { ...responder, lat: null, lon: null, asn: "Error", asnOrg: "Error" };
+        }
+      })
+    );
+  }
+
+  /**
+   * ISO country code of a geo lookup ("XX" = unknown)
+   */
+  countryCode(geo) {
+    return geo.countryCode && geo.countryCode !== "XX" ? geo.countryCode : null;
+  }
+
   /**
    * Trim trailing hops that are just "???": full timeouts with no IP
    * (This is closer to what many online traceroute visualizers do)
@@ -610,12 +1531,18 @@ class TracerouteService {
 
   /**
    * Calculate distances between hops
+   * Hops flagged by the speed-of-light check are skipped (distanceToNext null)
    */
-  calculateDistances(hops) {
+  calculateDistances(allHops) {
     let totalDistance = 0;
     let landDistance = 0;
     let seaDistance = 0;
 
+    const hops = allHops.filter(hop => !hop.geoFlag);
+    allHops.filter(hop => hop.geoFlag).forEach(hop => {
+      hop.distanceToNext = null;
+    });
+
     for (let i = 0; i < hops.length - 1; i++) {
       const hop1 = hops[i];
       const hop2 = hops[i + 1];
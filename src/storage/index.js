@@ -0,0 +1,44 @@
+const path = require('path');
+const { supabase } = require('../config/supabase');
+const StorageAdapter = require('./storageAdapter');
+const SupabaseAdapter = require('./supabaseAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+
+/**
+ * Pick the storage backend
+ * STORAGE_BACKEND=supabase|sqlite|none
+ * Default: Supabase when credentials are set, otherwise local SQLite
+ */
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND || (supabase ? 'supabase' : 'sqlite');
+
+  switch (backend) {
+    case 'supabase':
+      if (!supabase) {
+        console.warn('⚠️  STORAGE_BACKEND=supabase but credentials are missing. Database features will be disabled.');
+        return new StorageAdapter();
+      }
+      return new SupabaseAdapter(supabase);
+
+    case 'sqlite':
+      return new SqliteAdapter(
+        process.env.SQLITE_PATH || path.join(__dirname, '..', '..', '.data', 'traces.db')
+      );
+
+    case 'none':
+      return new StorageAdapter();
+
+    default:
+      console.warn(`⚠️  Unknown STORAGE_BACKEND "${backend}". Database features will be disabled.`);
+      return new StorageAdapter();
+  }
+}
+
+const db = createStorage();
+
+// Adapters stay usable (as no-ops) when initialisation fails
+const ready = db.init().catch(error => {
+  console.error(`❌ Failed to initialise ${db.name} storage:`, error.message);
+});
+
+module.exports = { db, ready };
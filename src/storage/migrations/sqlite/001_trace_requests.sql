@@ -0,0 +1,20 @@
+-- Trace requests with the full API response for GET /api/trace/:id
+CREATE TABLE IF NOT EXISTS trace_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trace_id TEXT UNIQUE,
+  domain TEXT NOT NULL,
+  source_ip TEXT,
+  total_hops INTEGER,
+  total_distance_km REAL,
+  total_time_ms REAL,
+  has_cdn INTEGER NOT NULL DEFAULT 0,
+  cdn_provider TEXT,
+  result TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_domain_created
+  ON trace_requests (domain, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_created
+  ON trace_requests (created_at);
@@ -0,0 +1,14 @@
+-- Traced address, family and probe protocol, so route changes are only
+-- computed between comparable traces (and per address for multi-address runs)
+ALTER TABLE trace_requests ADD COLUMN target_ip TEXT;
+ALTER TABLE trace_requests ADD COLUMN ip_version INTEGER;
+ALTER TABLE trace_requests ADD COLUMN protocol TEXT;
+
+UPDATE trace_requests SET
+  target_ip = json_extract(result, '$.targetIp'),
+  ip_version = json_extract(result, '$.ipVersion'),
+  protocol = json_extract(result, '$.probeOptions.protocol')
+WHERE result IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_domain_target
+  ON trace_requests (domain, target_ip, created_at);
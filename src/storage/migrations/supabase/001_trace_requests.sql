@@ -0,0 +1,24 @@
+-- Apply in the Supabase SQL editor (supabase-js cannot run DDL)
+CREATE TABLE IF NOT EXISTS trace_requests (
+  id BIGSERIAL PRIMARY KEY,
+  trace_id UUID UNIQUE,
+  domain TEXT NOT NULL,
+  source_ip TEXT,
+  total_hops INTEGER,
+  total_distance_km DOUBLE PRECISION,
+  total_time_ms DOUBLE PRECISION,
+  has_cdn BOOLEAN NOT NULL DEFAULT FALSE,
+  cdn_provider TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Upgrade path for tables created before trace_id/result existed
+ALTER TABLE trace_requests ADD COLUMN IF NOT EXISTS trace_id UUID UNIQUE;
+ALTER TABLE trace_requests ADD COLUMN IF NOT EXISTS result JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_domain_created
+  ON trace_requests (domain, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_created
+  ON trace_requests (created_at DESC);
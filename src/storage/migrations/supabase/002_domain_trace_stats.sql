@@ -0,0 +1,28 @@
+-- Per-domain aggregates for GET /api/trace/analytics/domains (called via supabase.rpc)
+CREATE OR REPLACE FUNCTION domain_trace_stats(since TIMESTAMPTZ, max_rows INTEGER, skip_rows INTEGER)
+RETURNS TABLE (
+  domain TEXT,
+  trace_count BIGINT,
+  avg_hops DOUBLE PRECISION,
+  avg_rtt_ms DOUBLE PRECISION,
+  avg_distance_km DOUBLE PRECISION,
+  cdn_share DOUBLE PRECISION,
+  last_traced_at TIMESTAMPTZ,
+  total_domains BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    t.domain,
+    COUNT(*) AS trace_count,
+    AVG(t.total_hops)::DOUBLE PRECISION AS avg_hops,
+    AVG(NULLIF(t.total_time_ms, 0)) AS avg_rtt_ms,
+    AVG(t.total_distance_km) AS avg_distance_km,
+    AVG(CASE WHEN t.has_cdn THEN 1.0 ELSE 0.0 END)::DOUBLE PRECISION AS cdn_share,
+    MAX(t.created_at) AS last_traced_at,
+    COUNT(*) OVER () AS total_domains
+  FROM trace_requests t
+  WHERE t.created_at >= since
+  GROUP BY t.domain
+  ORDER BY trace_count DESC, t.domain
+  LIMIT max_rows OFFSET skip_rows
+$$;
@@ -0,0 +1,14 @@
+-- Traced address, family and probe protocol, so route changes are only
+-- computed between comparable traces (and per address for multi-address runs)
+ALTER TABLE trace_requests ADD COLUMN IF NOT EXISTS target_ip TEXT;
+ALTER TABLE trace_requests ADD COLUMN IF NOT EXISTS ip_version SMALLINT;
+ALTER TABLE trace_requests ADD COLUMN IF NOT EXISTS protocol TEXT;
+
+UPDATE trace_requests SET
+  target_ip = result->>'targetIp',
+  ip_version = (result->>'ipVersion')::SMALLINT,
+  protocol = result->'probeOptions'->>'protocol'
+WHERE result IS NOT NULL AND target_ip IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trace_requests_domain_target
+  ON trace_requests (domain, target_ip, created_at DESC);
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', 'sqlite');
+const SUMMARY_COLUMNS = 'trace_id, domain, total_hops, total_distance_km, total_time_ms, has_cdn, cdn_provider, created_at';
+
+/**
+ * Local SQLite storage for self-hosted installs and tests.
+ * Schema: migrations/sqlite/*.sql, applied in order on startup.
+ */
+class SqliteAdapter extends StorageAdapter {
+  constructor(filename) {
+    super('sqlite');
+    this.filename = filename;
+    this.db = null;
+  }
+
+  get enabled() {
+    return Boolean(this.db);
+  }
+
+  async init() {
+    // Loaded lazily so Supabase-only installs don't need the native module
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    console.log(`🗄️  SQLite storage ready: ${this.filename}`);
+  }
+
+  /**
+   * Apply pending migrations, each in its own transaction
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db
+          .prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+          .run(file, new Date().toISOString());
+      })();
+
+      console.log(`   ✅ Applied migration ${file}`);
+    }
+  }
+
+  async saveTraceRequest(data) {
+    if (!this.db) return null;
+
+    try {
+      const row = {
+        trace_id: data.traceId || null,
+        domain: data.domain,
+        source_ip: data.sourceIp || null,
+        total_hops: data.totalHops,
+        total_distance_km: data.totalDistance,
+        total_time_ms: data.totalTime,
+        has_cdn: data.hasCdn ? 1 : 0,
+        cdn_provider: data.cdnProvider || null,
+        target_ip: data.targetIp || null,
+        ip_version: data.ipVersion || null,
+        protocol: data.protocol || null,
+        result: data.result ? JSON.stringify(data.result) : null,
+        created_at: new Date().toISOString()
+      };
+
+      this.db.prepare(`
+        INSERT INTO trace_requests
+          (trace_id, domain, source_ip, total_hops, total_distance_km, total_time_ms,
+           has_cdn, cdn_provider, target_ip, ip_version, protocol, result, created_at)
+        VALUES
+          (@trace_id, @domain, @source_ip, @total_hops, @total_distance_km, @total_time_ms,
+           @has_cdn, @cdn_provider, @target_ip, @ip_version, @protocol, @result, @created_at)
+      `).run(row);
+
+      const { result, ...summary } = row;
+      return [summary];
+    } catch (error) {
+      console.error('Database save error:', error.message);
+      return null;
+    }
+  }
+
+  async getTraceById(traceId) {
+    if (!this.db) return null;
+
+    try {
+      const row = this.db
+        .prepare('SELECT result FROM trace_requests WHERE trace_id = ?')
+        .get(traceId);
+
+      return row && row.result ? JSON.parse(row.result) : null;
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return null;
+    }
+  }
+
+  async getDomainStats({ since, limit = 10, offset = 0 } = {}) {
+    if (!this.db) return { domains: [], total: 0 };
+
+    try {
+      const from = since || new Date(0).toISOString();
+
+      const rows = this.db.prepare(`
+        SELECT
+          domain,
+          COUNT(*) AS trace_count,
+          AVG(total_hops) AS avg_hops,
+          AVG(NULLIF(total_time_ms, 0)) AS avg_rtt_ms,
+          AVG(total_distance_km) AS avg_distance_km,
+          AVG(has_cdn) AS cdn_share,
+          MAX(created_at) AS last_traced_at
+        FROM trace_requests
+        WHERE created_at >= ?
+        GROUP BY domain
+        ORDER BY trace_count DESC, domain
+        LIMIT ? OFFSET ?
+      `).all(from, limit, offset);
+
+      // Counted separately so pages past the end still report the total
+      const { total } = this.db.prepare(`
+        SELECT COUNT(DISTINCT domain) AS total
+        FROM trace_requests
+        WHERE created_at >= ?
+      `).get(from);
+
+      return {
+        domains: rows.map(row => this.toDomainStats(row)),
+        total
+      };
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return { domains: [], total: 0 };
+    }
+  }
+
+  async getTraceHistory({ domain, limit = 20, offset = 0, since } = {}) {
+    if (!this.db) return [];
+
+    try {
+      const where = [];
+      const params = [];
+
+      if (domain) {
+        where.push('domain = ?');
+        params.push(domain);
+      }
+      if (since) {
+        where.push('created_at >= ?');
+        params.push(since);
+      }
+
+      const rows = this.db.prepare(`
+        SELECT ${SUMMARY_COLUMNS}
+        FROM trace_requests
+        ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      return rows.map(row => this.toSummary(row));
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return [];
+    }
+  }
+
+  async getLatestTraces(domain, limit = 2, { targetIp, ipVersion, protocol } = {}) {
+    if (!this.db) return [];
+
+    try {
+      const where = ['domain = ?', 'result IS NOT NULL'];
+      const params = [domain];
+
+      for (const [column, value] of [['target_ip', targetIp], ['ip_version', ipVersion], ['protocol', protocol]]) {
+        if (value == null) continue;
+        where.push(`${column} = ?`);
+        params.push(value);
+      }
+
+      return this.db.prepare(`
+        SELECT result
+        FROM trace_requests
+        WHERE ${where.join(' AND ')}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `).all(...params, limit).map(row => JSON.parse(row.result));
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
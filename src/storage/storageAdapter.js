@@ -0,0 +1,101 @@
+/**
+ * Base storage adapter. Every method is a safe no-op so the API keeps
+ * working without a database (STORAGE_BACKEND=none).
+ */
+
+class StorageAdapter {
+  constructor(name = 'none') {
+    this.name = name;
+  }
+
+  get enabled() {
+    return false;
+  }
+
+  /**
+   * Create tables / apply migrations
+   */
+  async init() {}
+
+  /**
+   * Save a finished trace (summary columns + full result)
+   */
+  async saveTraceRequest(data) {
+    return null;
+  }
+
+  /**
+   * Full stored result for GET /api/trace/:id
+   */
+  async getTraceById(traceId) {
+    return null;
+  }
+
+  /**
+   * Most traced domains (all time)
+   */
+  async getPopularDomains(limit = 10) {
+    const { domains } = await this.getDomainStats({ since: new Date(0).toISOString(), limit });
+    return domains.map(d => ({ domain: d.domain, count: d.traceCount }));
+  }
+
+  /**
+   * Per-domain aggregates since a timestamp, ordered by trace count
+   * Returns { domains: [...], total } where total is the number of domains
+   */
+  async getDomainStats({ since, limit = 10, offset = 0 } = {}) {
+    return { domains: [], total: 0 };
+  }
+
+  /**
+   * Trace summaries, newest first
+   * { domain, limit, offset, since }
+   */
+  async getTraceHistory(options = {}) {
+    return [];
+  }
+
+  /**
+   * Most recent full results for a domain, newest first
+   * Optional filters: { targetIp, ipVersion, protocol }
+   */
+  async getLatestTraces(domain, limit = 2, filters = {}) {
+    return [];
+  }
+
+  /**
+   * Map an aggregate row (domain_trace_stats shape) to the API shape
+   */
+  toDomainStats(row) {
+    const round = (value, digits = 1) =>
+      value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+    return {
+      domain: row.domain,
+      traceCount: Number(row.trace_count),
+      avgHops: round(row.avg_hops),
+      avgRtt: round(row.avg_rtt_ms, 3),
+      avgDistance: round(row.avg_distance_km, 0),
+      cdnShare: round(row.cdn_share, 3),
+      lastTracedAt: row.last_traced_at
+    };
+  }
+
+  /**
+   * Map a trace_requests row to the API summary shape
+   */
+  toSummary(row) {
+    return {
+      traceId: row.trace_id,
+      domain: row.domain,
+      totalHops: row.total_hops,
+      totalDistance: row.total_distance_km,
+      totalTime: row.total_time_ms,
+      hasCdn: Boolean(row.has_cdn),
+      cdnProvider: row.cdn_provider,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,132 @@
+const StorageAdapter = require('./storageAdapter');
+
+const SUMMARY_COLUMNS = 'trace_id, domain, total_hops, total_distance_km, total_time_ms, has_cdn, cdn_provider, created_at';
+
+/**
+ * Supabase (hosted Postgres) storage.
+ * Schema: migrations/supabase/*.sql, applied through the Supabase SQL editor.
+ */
+class SupabaseAdapter extends StorageAdapter {
+  constructor(client) {
+    super('supabase');
+    this.client = client;
+  }
+
+  get enabled() {
+    return Boolean(this.client);
+  }
+
+  async saveTraceRequest(data) {
+    try {
+      const { data: result, error } = await this.client
+        .from('trace_requests')
+        .insert([{
+          domain: data.domain,
+          source_ip: data.sourceIp,
+          total_hops: data.totalHops,
+          total_distance_km: data.totalDistance,
+          total_time_ms: data.totalTime,
+          has_cdn: data.hasCdn,
+          cdn_provider: data.cdnProvider,
+          trace_id: data.traceId,
+          target_ip: data.targetIp || null,
+          ip_version: data.ipVersion || null,
+          protocol: data.protocol || null,
+          // Full API response (hops, cables...) as jsonb, served by GET /api/trace/:id
+          result: data.result,
+          created_at: new Date().toISOString()
+        }])
+        .select(SUMMARY_COLUMNS);
+
+      if (error) throw error;
+      return result;
+    } catch (error) {
+      console.error('Database save error:', error.message);
+      return null;
+    }
+  }
+
+  async getTraceById(traceId) {
+    try {
+      const { data, error } = await this.client
+        .from('trace_requests')
+        .select('result')
+        .eq('trace_id', traceId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? data.result : null;
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return null;
+    }
+  }
+
+  async getDomainStats({ since, limit = 10, offset = 0 } = {}) {
+    try {
+      const from = since || new Date(0).toISOString();
+
+      // GROUP BY lives in the domain_trace_stats / domain_trace_count SQL functions (migrations 002-003)
+      const [stats, count] = await Promise.all([
+        this.client.rpc('domain_trace_stats', { since: from, max_rows: limit, skip_rows: offset }),
+        this.client.rpc('domain_trace_count', { since: from })
+      ]);
+
+      if (stats.error) throw stats.error;
+      if (count.error) throw count.error;
+      return {
+        domains: (stats.data || []).map(row => this.toDomainStats(row)),
+        total: Number(count.data) || 0
+      };
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return { domains: [], total: 0 };
+    }
+  }
+
+  async getTraceHistory({ domain, limit = 20, offset = 0, since } = {}) {
+    try {
+      let query = this.client
+        .from('trace_requests')
+        .select(SUMMARY_COLUMNS)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (domain) query = query.eq('domain', domain);
+      if (since) query = query.gte('created_at', since);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(row => this.toSummary(row));
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return [];
+    }
+  }
+
+  async getLatestTraces(domain, limit = 2, { targetIp, ipVersion, protocol } = {}) {
+    try {
+      let query = this.client
+        .from('trace_requests')
+        .select('result')
+        .eq('domain', domain)
+        .not('result', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      // Columns from migration 004
+      if (targetIp != null) query = query.eq('target_ip', targetIp);
+      if (ipVersion != null) query = query.eq('ip_version', ipVersion);
+      if (protocol != null) query = query.eq('protocol', protocol);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(row => row.result);
+    } catch (error) {
+      console.error('Database query error:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = SupabaseAdapter;
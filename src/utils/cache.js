@@ -0,0 +1,310 @@
+/**
+ * Shared cache layer with TTL, LRU size limits, negative caching and stats.
+ *
+ * Backends (CACHE_BACKEND):
+ *   memory - plain in-process Map (default)
+ *   file   - Map persisted as JSON under CACHE_DIR, survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const registry = new Map();
+
+/**
+ * In-memory entry store. Map insertion order doubles as LRU order.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  // Least recently used key
+  oldestKey() {
+    return this.entries.keys().next().value;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Called after every write; memory needs no persistence
+  changed() {}
+}
+
+/**
+ * Memory store mirrored to a JSON file (debounced writes).
+ * Only dirty stores are written; entries are serialised in batches that
+ * yield to the event loop and the file is written asynchronously.
+ */
+class FileStore extends MemoryStore {
+  constructor(filePath, { flushDelay = 2000, batchSize = 1000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.flushDelay = flushDelay;
+    this.batchSize = batchSize;
+    this.flushTimer = null;
+    this.dirty = false;
+    this.writing = false;
+    this.load();
+
+    // Write pending changes before the process exits
+    process.once('exit', () => {
+      if (this.dirty) this.flushSync();
+    });
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of saved) {
+        if (!entry.expires || entry.expires > now) this.entries.set(key, entry);
+      }
+      console.log(`💾 Loaded ${this.entries.size} cache entries from ${this.filePath}`);
+    } catch (error) {
+      console.error(`⚠️  Could not read cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  changed() {
+    this.dirty = true;
+    if (this.flushTimer || this.writing) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.dirty || this.writing) return;
+
+    this.dirty = false;
+    this.writing = true;
+
+    try {
+      const entries = [...this.entries];
+      const batches = [];
+      for (let i = 0; i < entries.length; i += this.batchSize) {
+        batches.push(entries.slice(i, i + this.batchSize).map(entry => JSON.stringify(entry)).join(','));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, `[${batches.join(',')}]`);
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`⚠️  Could not write cache file ${this.filePath}:`, error.message);
+    } finally {
+      this.writing = false;
+      // Changes made while writing get their own flush
+      if (this.dirty) this.changed();
+    }
+  }
+
+  flushSync() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify([...this.entries]));
+      fs.renameSync(tmpPath, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`⚠️  Could not write cache file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+class Cache {
+  /**
+   * @param {string} namespace - name used for stats and the backing file
+   * @param {object} options
+   *   ttl          - time to live in ms for normal entries
+   *   negativeTtl  - time to live in ms for failed lookups (setNegative)
+   *   maxEntries   - LRU limit, oldest-used entries are evicted beyond it
+   *   store        - MemoryStore / FileStore instance
+   */
+  constructor(namespace, { ttl = 60 * 60 * 1000, negativeTtl = 5 * 60 * 1000, maxEntries = 10000, store } = {}) {
+    this.namespace = namespace;
+    this.ttl = ttl;
+    this.negativeTtl = negativeTtl;
+    this.maxEntries = maxEntries;
+    this.store = store || new MemoryStore();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      negativeHits: 0,
+      misses: 0,
+      sets: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  /**
+   * Returns the cached value or undefined (expired entries count as misses)
+   */
+  get(key) {
+    const entry = this.store.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expires && entry.expires <= Date.now()) {
+      this.store.delete(key);
+      this.store.changed();
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Refresh LRU position
+    this.store.delete(key);
+    this.store.set(key, entry);
+
+    if (entry.negative) this.stats.negativeHits++;
+    else this.stats.hits++;
+
+    return entry.value;
+  }
+
+  has(key) {
+    const entry = this.store.get(key);
+    return Boolean(entry && (!entry.expires || entry.expires > Date.now()));
+  }
+
+  /**
+   * Store a value; options.ttl overrides the namespace TTL (0 = never expires)
+   */
+  set(key, value, { ttl = this.ttl, negative = false } = {}) {
+    this.store.delete(key);
+    this.store.set(key, {
+      value,
+      negative,
+      expires: ttl ? Date.now() + ttl : null
+    });
+    this.stats.sets++;
+
+    while (this.store.size > this.maxEntries) {
+      this.store.delete(this.store.oldestKey());
+      this.stats.evictions++;
+    }
+
+    this.store.changed();
+    return value;
+  }
+
+  /**
+   * Cache a failed lookup with the shorter negative TTL
+   */
+  setNegative(key, value) {
+    return this.set(key, value, { ttl: this.negativeTtl, negative: true });
+  }
+
+  delete(key) {
+    const deleted = this.store.delete(key);
+    if (deleted) this.store.changed();
+    return deleted;
+  }
+
+  keys() {
+    return this.store.keys();
+  }
+
+  flushAll() {
+    this.store.clear();
+    this.store.changed();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.negativeHits + this.stats.misses;
+    return {
+      namespace: this.namespace,
+      backend: this.store.constructor.name,
+      size: this.store.size,
+      maxEntries: this.maxEntries,
+      ...this.stats,
+      hitRate: lookups > 0
+        ? Math.round(((this.stats.hits + this.stats.negativeHits) / lookups) * 1000) / 1000
+        : null
+    };
+  }
+}
+
+/**
+ * Create (or return the existing) cache for a namespace using the
+ * configured backend
+ */
+function createCache(namespace, options = {}) {
+  if (registry.has(namespace)) return registry.get(namespace);
+
+  const backend = options.backend || process.env.CACHE_BACKEND || 'memory';
+  let store;
+
+  if (backend === 'file') {
+    const dir = process.env.CACHE_DIR || path.join(__dirname, '..', '..', '.cache');
+    store = new FileStore(path.join(dir, `${namespace}.json`));
+  } else {
+    store = new MemoryStore();
+  }
+
+  const cache = new Cache(namespace, { ...options, store });
+  registry.set(namespace, cache);
+  return cache;
+}
+
+/**
+ * Stats for every cache created through createCache
+ */
+function getCacheStats() {
+  return [...registry.values()].map(cache => cache.getStats());
+}
+
+/**
+ * Flush every registered cache, returns number of keys cleared
+ */
+function flushAllCaches() {
+  let cleared = 0;
+  for (const cache of registry.values()) {
+    cleared += cache.keys().length;
+    cache.flushAll();
+  }
+  return cleared;
+}
+
+module.exports = {
+  Cache,
+  MemoryStore,
+  FileStore,
+  createCache,
+  getCacheStats,
+  flushAllCaches
+};
@@ -24,6 +24,37 @@ class Calculations {
     return degrees * (Math.PI / 180);
   }
 
+  /**
+   * Latency statistics for a hop's probe samples (ms)
+   * jitter = mean absolute difference between consecutive samples
+   */
+  static rttStats(samples) {
+    if (!samples || samples.length === 0) {
+      return { min: null, avg: null, max: null, stdev: null, jitter: null };
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+    const variance = samples.reduce((sum, v) => sum + (v - avg) ** 2, 0) / samples.length;
+
+    let jitter = null;
+    if (samples.length > 1) {
+      let diffs = 0;
+      for (let i = 1; i < samples.length; i++) {
+        diffs += Math.abs(samples[i] - samples[i - 1]);
+      }
+      jitter = round(diffs / (samples.length - 1));
+    }
+
+    return {
+      min: round(Math.min(...samples)),
+      avg: round(avg),
+      max: round(Math.max(...samples)),
+      stdev: round(Math.sqrt(variance)),
+      jitter
+    };
+  }
+
   /**
    * Format time from milliseconds to readable format
    */
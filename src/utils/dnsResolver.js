@@ -0,0 +1,103 @@
+/**
+ * DNS resolver selection: the system resolver, a named preset
+ * (config/resolvers.js) or an explicit server address. Every non-system
+ * choice gets its own dns.Resolver so lookups never touch the host setup.
+ */
+
+const dns = require('dns');
+const IPUtils = require('./ip');
+const TargetUtils = require('./target');
+const { presets, allowCustom, timeoutMs } = require('../config/resolvers');
+
+// One Resolver per server list
+const resolvers = new Map();
+
+class DnsResolvers {
+
+  /**
+   * Parse a client resolver choice: preset name, "1.1.1.1", "1.1.1.1:53",
+   * "2606:4700::1111" or "[2606:4700::1111]:53". Empty / "system" is the host resolver.
+   * Addresses need DNS_ALLOW_CUSTOM_RESOLVER=true and may only use port 53.
+   * Returns { resolver: { name, servers, resolver } } or { error } with an error body
+   */
+  static parse(input) {
+    if (input == null || input === '' || input === 'system') {
+      return { resolver: this.system() };
+    }
+
+    if (typeof input !== 'string') {
+      return { error: { error: 'Invalid resolver', resolver: input } };
+    }
+
+    const name = input.trim().toLowerCase();
+    if (presets[name]) {
+      return { resolver: this.get(name, presets[name]) };
+    }
+
+    const match = input.trim().match(/^\[([^\]]+)\](?::(\d+))?$/) ||
+      input.trim().match(/^([\d.]+)(?::(\d+))?$/) ||
+      [null, input.trim(), undefined];
+    const [, address, port] = match;
+
+    if (!IPUtils.family(address) || (port && (Number(port) < 1 || Number(port) > 65535))) {
+      return {
+        error: {
+          error: 'Invalid resolver',
+          resolver: input,
+          presets: Object.keys(presets)
+        }
+      };
+    }
+
+    if (!allowCustom) {
+      return {
+        error: {
+          error: 'Custom resolvers are disabled, use a preset',
+          resolver: input,
+          presets: Object.keys(presets)
+        }
+      };
+    }
+
+    if (port && Number(port) !== 53) {
+      return { error: { error: 'Custom resolvers must use port 53', resolver: input } };
+    }
+
+    if (IPUtils.isPrivateIP(address) && !TargetUtils.isAllowlisted(address)) {
+      return {
+        error: { error: 'Private resolver addresses can only be used when allowlisted', resolver: input }
+      };
+    }
+
+    const server = port
+      ? (IPUtils.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`)
+      : address;
+    return { resolver: this.get('custom', [server]) };
+  }
+
+  /**
+   * Resolver for a server list (created once, then reused)
+   */
+  static get(name, servers) {
+    const key = servers.join(',');
+    if (!resolvers.has(key)) {
+      const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+      resolver.setServers(servers);
+      resolvers.set(key, resolver);
+    }
+    return { name, servers, resolver: resolvers.get(key) };
+  }
+
+  /**
+   * The host's configured resolver (dns.promises, plus dns.lookup fallbacks)
+   */
+  static system() {
+    return { name: 'system', servers: dns.getServers(), resolver: dns.promises };
+  }
+
+  static isSystem(selection) {
+    return !selection || selection.name === 'system';
+  }
+}
+
+module.exports = DnsResolvers;
@@ -0,0 +1,213 @@
+/**
+ * Country reference (continent, UN sub-region, land borders for every
+ * ISO 3166-1 code) and a coarse land/sea mask for great-circle paths.
+ * Data lives in src/data/countries.json and src/data/land-polygons.json.
+ */
+
+const countries = require('../data/countries.json');
+const landPolygons = require('../data/land-polygons.json');
+const Calculations = require('./calculations');
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const SAMPLE_KM = 20; // spacing of land/sea samples along a path
+const ENDPOINT_SLACK_KM = 50; // coastal hops may sit just offshore in the coarse outlines
+const MIN_SEA_KM = 50; // shortest stretch of open water that counts as a crossing
+
+// Lookup tables built once from the JSON data
+const byName = new Map();
+for (const code of Object.keys(countries.countries)) {
+  byName.set(normalizeName(code), code);
+  try {
+    byName.set(normalizeName(countryNames.of(code)), code);
+  } catch {
+    // Not every runtime names every code (e.g. XK)
+  }
+}
+for (const [alias, code] of Object.entries(countries.aliases)) {
+  byName.set(normalizeName(alias), code);
+}
+
+const land = landPolygons.land.map(polygon => withBounds(polygon.coordinates));
+const water = landPolygons.water.map(polygon => withBounds(polygon.coordinates));
+
+/**
+ * "Côte d’Ivoire" → "cote divoire", "Bosnia & Herzegovina" → "bosnia and herzegovina"
+ */
+function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function withBounds(ring) {
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return {
+    ring,
+    minLon: Math.min(...lons),
+    maxLon: Math.max(...lons),
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats)
+  };
+}
+
+function contains(polygon, lat, lon) {
+  if (lat < polygon.minLat || lat > polygon.maxLat || lon < polygon.minLon || lon > polygon.maxLon) {
+    return false;
+  }
+
+  // Ray casting towards +lon
+  const ring = polygon.ring;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+class Geography {
+
+  static get version() {
+    return { countries: countries.version, land: landPolygons.version };
+  }
+
+  /**
+   * ISO code for a code, English name or common alias ("United States",
+   * "USA", "Türkiye" → "US", "US", "TR"); null when unknown
+   */
+  static countryCode(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const upper = value.trim().toUpperCase();
+    if (countries.countries[upper]) return upper;
+
+    return byName.get(normalizeName(value)) || null;
+  }
+
+  /**
+   * { code, name, continent, continentName, region, borders } or null
+   */
+  static country(value) {
+    const code = this.countryCode(value);
+    if (!code) return null;
+
+    const entry = countries.countries[code];
+    let name = code;
+    try {
+      name = countryNames.of(code);
+    } catch {
+      // Keep the code
+    }
+
+    return {
+      code,
+      name,
+      continent: entry.continent,
+      continentName: countries.continents[entry.continent],
+      region: entry.region,
+      borders: entry.borders
+    };
+  }
+
+  /**
+   * Continent name ("Europe"), or 'Unknown'
+   */
+  static continent(value) {
+    return this.country(value)?.continentName || 'Unknown';
+  }
+
+  /**
+   * True only when both countries are known and on different continents
+   */
+  static isDifferentContinent(a, b) {
+    const first = this.country(a);
+    const second = this.country(b);
+    return Boolean(first && second && first.continent !== second.continent);
+  }
+
+  static shareLandBorder(a, b) {
+    const first = this.country(a);
+    const second = this.countryCode(b);
+    return Boolean(first && second && first.borders.includes(second));
+  }
+
+  /**
+   * Land/sea test against the coarse outlines; inland seas count as water
+   */
+  static isLand(lat, lon) {
+    if (water.some(polygon => contains(polygon, lat, lon))) return false;
+    return land.some(polygon => contains(polygon, lat, lon));
+  }
+
+  /**
+   * Points along the great circle, endpoints included ([lat, lon] pairs)
+   */
+  static greatCircle(lat1, lon1, lat2, lon2, steps) {
+    const toRad = Calculations.toRadians;
+    const toDeg = radians => (radians * 180) / Math.PI;
+    const [φ1, λ1, φ2, λ2] = [toRad(lat1), toRad(lon1), toRad(lat2), toRad(lon2)];
+
+    const angle = Calculations.haversineDistance(lat1, lon1, lat2, lon2) / 6371;
+    if (angle < 1e-9 || steps < 1) return [[lat1, lon1], [lat2, lon2]];
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const f = i / steps;
+      const a = Math.sin((1 - f) * angle) / Math.sin(angle);
+      const b = Math.sin(f * angle) / Math.sin(angle);
+      const x = a * Math.cos(φ1) * Math.cos(λ1) + b * Math.cos(φ2) * Math.cos(λ2);
+      const y = a * Math.cos(φ1) * Math.sin(λ1) + b * Math.cos(φ2) * Math.sin(λ2);
+      const z = a * Math.sin(φ1) + b * Math.sin(φ2);
+      points.push([toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))), toDeg(Math.atan2(y, x))]);
+    }
+    return points;
+  }
+
+  /**
+   * Open water along the great-circle path between two points.
+   * Samples every ~20km, ignoring the first and last 50km (coastal hops).
+   * Returns { seaKm, longestSeaKm, crossesSea } with crossesSea meaning
+   * at least minSeaKm (default 50) of continuous water.
+   */
+  static seaCrossing(lat1, lon1, lat2, lon2, { minSeaKm = MIN_SEA_KM } = {}) {
+    const distance = Calculations.haversineDistance(lat1, lon1, lat2, lon2);
+    const steps = Math.max(1, Math.ceil(distance / SAMPLE_KM));
+    const stepKm = distance / steps;
+
+    let seaKm = 0;
+    let run = 0;
+    let longestSeaKm = 0;
+
+    this.greatCircle(lat1, lon1, lat2, lon2, steps).forEach(([lat, lon], i) => {
+      const along = i * stepKm;
+      const nearEnd = along < ENDPOINT_SLACK_KM || distance - along < ENDPOINT_SLACK_KM;
+
+      if (!nearEnd && !this.isLand(lat, lon)) {
+        seaKm += stepKm;
+        run += stepKm;
+        longestSeaKm = Math.max(longestSeaKm, run);
+      } else {
+        run = 0;
+      }
+    });
+
+    return {
+      seaKm: Math.round(seaKm),
+      longestSeaKm: Math.round(longestSeaKm),
+      crossesSea: longestSeaKm >= minSeaKm
+    };
+  }
+}
+
+module.exports = Geography;
@@ -0,0 +1,136 @@
+/**
+ * IP address helpers shared by the services (IPv4 + IPv6)
+ */
+
+const net = require('net');
+
+class IPUtils {
+
+  /**
+   * Address family of an IP literal: 4, 6 or 0 when not an IP
+   */
+  static family(ip) {
+    if (!ip || typeof ip !== 'string') return 0;
+    return net.isIP(ip);
+  }
+
+  static isIPv4(ip) {
+    return this.family(ip) === 4;
+  }
+
+  static isIPv6(ip) {
+    return this.family(ip) === 6;
+  }
+
+  /**
+   * Check if IP is private, loopback or link-local (v4 and v6)
+   */
+  static isPrivateIP(ip) {
+    const family = this.family(ip);
+
+    if (family === 4) {
+      return (
+        /^10\./.test(ip) || // 10.0.0.0/8
+        /^172\.(1[6-9]|2[0-9]|3[0-1])\./.test(ip) || // 172.16.0.0/12
+        /^192\.168\./.test(ip) || // 192.168.0.0/16
+        /^127\./.test(ip) || // loopback
+        /^169\.254\./.test(ip) // link-local
+      );
+    }
+
+    if (family === 6) {
+      const lower = ip.toLowerCase();
+
+      // IPv4-mapped (::ffff:10.0.0.1) - check the embedded v4 address
+      const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+      if (mapped) return this.isPrivateIP(mapped[1]);
+
+      // First hextet as a number, so "fc::1" (00fc::) isn't taken for fc00::
+      const first = lower.startsWith('::') ? 0 : parseInt(lower.split(':')[0], 16);
+
+      return (
+        lower === '::1' || // loopback
+        lower === '::' || // unspecified
+        (first & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+        (first & 0xffc0) === 0xfe80 // fe80::/10 link-local
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Numeric value of an IP literal as a BigInt (32 bits for v4, 128 for v6)
+   */
+  static toBigInt(ip) {
+    const family = this.family(ip);
+
+    if (family === 4) {
+      return ip
+        .split('.')
+        .reduce((acc, octet) => (acc << 8n) | BigInt(parseInt(octet, 10)), 0n);
+    }
+
+    if (family === 6) {
+      let address = ip.toLowerCase().split('%')[0];
+
+      // Embedded IPv4 tail (::ffff:1.2.3.4) → two hex groups
+      const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+      if (v4Tail) {
+        const v4 = this.toBigInt(v4Tail[1]);
+        address = address.slice(0, -v4Tail[1].length) +
+          `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+      }
+
+      const [head, tail] = address.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const missing = address.includes('::')
+        ? 8 - headGroups.length - tailGroups.length
+        : 0;
+      const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+      return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+    }
+
+    return null;
+  }
+
+  /**
+   * Format a BigInt back into an IP literal of the given family
+   */
+  static fromBigInt(value, family) {
+    if (family === 4) {
+      return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+      groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+    return groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::').replace(/:{3,}/, '::');
+  }
+
+  /**
+   * Find the first IP literal (v4 or v6) in a line of tool output.
+   * Handles "host (1.2.3.4)" and "host [2001:db8::1]" forms.
+   */
+  static extractIP(text) {
+    const ips = this.extractIPs(text);
+    return ips.length > 0 ? ips[0] : null;
+  }
+
+  /**
+   * All IP literals (v4 or v6) in a line of tool output, in order
+   */
+  static extractIPs(text) {
+    if (!text) return [];
+
+    return text
+      .split(/\s+/)
+      .map(token => token.replace(/^[([]+|[)\],]+$/g, ''))
+      .filter(token => this.family(token) !== 0);
+  }
+}
+
+module.exports = IPUtils;
@@ -0,0 +1,165 @@
+/**
+ * Path-compressed binary radix trie for longest-prefix match on IP prefixes.
+ * Keys are BigInt network addresses (see IPUtils.toBigInt); one tree per family.
+ */
+
+const IPUtils = require('./ip');
+
+const WIDTH = { 4: 32, 6: 128 };
+
+class PrefixTrie {
+
+  constructor() {
+    this.roots = {
+      4: this.createNode(0n, 0),
+      6: this.createNode(0n, 0)
+    };
+    this.size = 0;
+  }
+
+  createNode(prefix, length, value) {
+    return { prefix, length, value, children: [null, null] };
+  }
+
+  /**
+   * Insert "1.0.0.0/24" (or an address + length) with an associated value
+   */
+  insert(cidr, value) {
+    const [address, lengthPart] = cidr.split('/');
+    const family = IPUtils.family(address);
+    if (!family) return false;
+
+    const width = WIDTH[family];
+    const length = lengthPart === undefined ? width : parseInt(lengthPart, 10);
+    if (Number.isNaN(length) || length < 0 || length > width) return false;
+
+    this.insertValue(family, IPUtils.toBigInt(address), length, value);
+    return true;
+  }
+
+  /**
+   * Insert a prefix given as a BigInt network address
+   */
+  insertValue(family, network, length, value) {
+    const width = WIDTH[family];
+    const prefix = this.mask(network, length, width);
+    let node = this.roots[family];
+
+    while (true) {
+      if (node.length === length) {
+        if (node.value === undefined) this.size++;
+        node.value = value;
+        return;
+      }
+
+      const bit = this.bitAt(prefix, node.length, width);
+      const child = node.children[bit];
+
+      if (!child) {
+        node.children[bit] = this.createNode(prefix, length, value);
+        this.size++;
+        return;
+      }
+
+      const common = this.commonLength(child.prefix, prefix, Math.min(child.length, length), width);
+
+      if (common === child.length) {
+        node = child;
+        continue;
+      }
+
+      // Split the edge at the first differing bit
+      const split = this.createNode(this.mask(prefix, common, width), common);
+      node.children[bit] = split;
+      split.children[this.bitAt(child.prefix, common, width)] = child;
+
+      if (common === length) {
+        split.value = value;
+      } else {
+        split.children[this.bitAt(prefix, common, width)] = this.createNode(prefix, length, value);
+      }
+      this.size++;
+      return;
+    }
+  }
+
+  /**
+   * Longest-prefix match for an IP literal
+   * Returns { prefix: "1.0.0.0/24", value } or null
+   */
+  lookup(ip) {
+    const family = IPUtils.family(ip);
+    if (!family) return null;
+
+    const width = WIDTH[family];
+    const address = IPUtils.toBigInt(ip);
+    let node = this.roots[family];
+    let best = null;
+
+    while (node) {
+      if (this.mask(address, node.length, width) !== node.prefix) break;
+      if (node.value !== undefined) best = node;
+      if (node.length === width) break;
+
+      node = node.children[this.bitAt(address, node.length, width)];
+    }
+
+    if (!best) return null;
+
+    return {
+      prefix: `${IPUtils.fromBigInt(best.prefix, family)}/${best.length}`,
+      value: best.value
+    };
+  }
+
+  /**
+   * Insert an inclusive address range by splitting it into CIDR blocks
+   * (iptoasn-style "start end" rows)
+   */
+  insertRange(startIp, endIp, value) {
+    const family = IPUtils.family(startIp);
+    if (!family || IPUtils.family(endIp) !== family) return 0;
+
+    const width = WIDTH[family];
+    let start = IPUtils.toBigInt(startIp);
+    const end = IPUtils.toBigInt(endIp);
+    let blocks = 0;
+
+    while (start <= end) {
+      // Largest block aligned on start that still fits in the range
+      let size = width;
+      while (size > 0) {
+        const hostBits = BigInt(width - size + 1);
+        const blockMask = (1n << hostBits) - 1n;
+        if ((start & blockMask) !== 0n || start + blockMask > end) break;
+        size--;
+      }
+
+      this.insertValue(family, start, size, value);
+      blocks++;
+      start += 1n << BigInt(width - size);
+    }
+
+    return blocks;
+  }
+
+  bitAt(value, index, width) {
+    return Number((value >> BigInt(width - 1 - index)) & 1n);
+  }
+
+  mask(value, length, width) {
+    if (length === 0) return 0n;
+    const shift = BigInt(width - length);
+    return (value >> shift) << shift;
+  }
+
+  commonLength(a, b, limit, width) {
+    const diff = a ^ b;
+    if (diff === 0n) return limit;
+
+    const leading = width - diff.toString(2).length;
+    return Math.min(leading, limit);
+  }
+}
+
+module.exports = PrefixTrie;
@@ -0,0 +1,106 @@
+/**
+ * Uniform lat/lon grid over line segments for "segments near a point" queries.
+ * Segments crossing the antimeridian are split at ±180° so each piece lives
+ * in ordinary longitudes; queries wrap around it.
+ */
+
+const KM_PER_DEGREE = 111.32;
+
+class SegmentGrid {
+
+  constructor(cellSize = 2) {
+    this.cellSize = cellSize;
+    this.columns = Math.ceil(360 / cellSize);
+    this.rows = Math.ceil(180 / cellSize);
+    this.cells = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Add every segment of a LineString / MultiLineString coordinate list
+   * ([lon, lat] pairs, GeoJSON order)
+   */
+  insertLine(coordinates, value) {
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const [lon1, lat1] = coordinates[i];
+      const [lon2, lat2] = coordinates[i + 1];
+      this.insert(lat1, lon1, lat2, lon2, value);
+    }
+  }
+
+  insert(lat1, lon1, lat2, lon2, value) {
+    if ([lat1, lon1, lat2, lon2].some(n => typeof n !== 'number' || Number.isNaN(n))) return;
+
+    if (Math.abs(lon2 - lon1) > 180) {
+      // Crosses the antimeridian: split where it meets ±180°
+      const edge = lon1 > 0 ? 180 : -180;
+      const unwrapped = lon2 + (lon1 > 0 ? 360 : -360);
+      const crossLat = lat1 + ((lat2 - lat1) * (edge - lon1)) / (unwrapped - lon1);
+
+      this.insertPiece(lat1, lon1, crossLat, edge, value);
+      this.insertPiece(crossLat, -edge, lat2, lon2, value);
+      return;
+    }
+
+    this.insertPiece(lat1, lon1, lat2, lon2, value);
+  }
+
+  insertPiece(lat1, lon1, lat2, lon2, value) {
+    const segment = { lat1, lon1, lat2, lon2, value };
+    const [x1, x2] = [this.column(Math.min(lon1, lon2)), this.column(Math.max(lon1, lon2))];
+    const [y1, y2] = [this.row(Math.min(lat1, lat2)), this.row(Math.max(lat1, lat2))];
+
+    for (let y = y1; y <= y2; y++) {
+      for (let x = x1; x <= x2; x++) {
+        const key = y * this.columns + x;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(segment);
+      }
+    }
+    this.size++;
+  }
+
+  /**
+   * Segments in cells that may lie within radiusKm of (lat, lon)
+   */
+  near(lat, lon, radiusKm) {
+    const dLat = radiusKm / KM_PER_DEGREE;
+    const y1 = this.row(Math.max(-90, lat - dLat));
+    const y2 = this.row(Math.min(90, lat + dLat));
+
+    // Longitude span widens towards the poles; near them take every column
+    const maxAbsLat = Math.min(90, Math.abs(lat) + dLat);
+    const cosLat = Math.cos((maxAbsLat * Math.PI) / 180);
+    const dLon = cosLat > 1e-6 ? radiusKm / (KM_PER_DEGREE * cosLat) : 360;
+
+    const columns = [];
+    if (dLon >= 180) {
+      for (let x = 0; x < this.columns; x++) columns.push(x);
+    } else {
+      const first = Math.floor((lon - dLon + 180) / this.cellSize);
+      const last = Math.floor((lon + dLon + 180) / this.cellSize);
+      for (let x = first; x <= last; x++) {
+        columns.push(((x % this.columns) + this.columns) % this.columns);
+      }
+    }
+
+    const found = new Set();
+    for (let y = y1; y <= y2; y++) {
+      for (const x of columns) {
+        const cell = this.cells.get(y * this.columns + x);
+        if (cell) cell.forEach(segment => found.add(segment));
+      }
+    }
+    return found;
+  }
+
+  column(lon) {
+    return Math.min(this.columns - 1, Math.max(0, Math.floor((lon + 180) / this.cellSize)));
+  }
+
+  row(lat) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((lat + 90) / this.cellSize)));
+  }
+}
+
+module.exports = SegmentGrid;
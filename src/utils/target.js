@@ -0,0 +1,141 @@
+/**
+ * Interpret a trace target: IP literal, domain name (IDN converted to
+ * punycode) or an allowlisted internal hostname
+ */
+
+const { domainToASCII } = require('url');
+const IPUtils = require('./ip');
+const PrefixTrie = require('./prefixTrie');
+const { internalTargets } = require('../config/targets');
+
+// Checked per label on the lowercased ASCII host
+const labelRegex = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const tldRegex = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+const MAX_HOST_LENGTH = 253;
+
+// Allowlist split into hostnames and address ranges (built on first use)
+let allowlist = null;
+
+class TargetUtils {
+
+  /**
+   * Parse user input into { target } or { error } (an API error body)
+   * target: { input, type: 'ip'|'domain'|'idn'|'internal', host, family }
+   */
+  static parse(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+      return { error: { error: 'Domain is required', example: { domain: 'google.com' } } };
+    }
+
+    const trimmed = input.trim();
+    const literal = trimmed.replace(/^\[(.*)\]$/, '$1');
+    const family = IPUtils.family(literal);
+
+    if (family) {
+      const host = literal.toLowerCase();
+      if (IPUtils.isPrivateIP(host) && !this.isAllowlisted(host)) {
+        return {
+          error: {
+            error: 'Private addresses can only be traced when allowlisted',
+            domain: input
+          }
+        };
+      }
+      return { target: { input, type: 'ip', host, family } };
+    }
+
+    // Lowercases and converts IDN labels to punycode; '' when invalid
+    const host = domainToASCII(trimmed.replace(/\.$/, ''));
+
+    if (host && !host.includes('.')) {
+      if (!labelRegex.test(host)) {
+        return { error: { error: 'Invalid domain format', domain: input } };
+      }
+      if (!this.isAllowlisted(host)) {
+        return {
+          error: {
+            error: 'Internal hostnames can only be traced when allowlisted',
+            domain: input
+          }
+        };
+      }
+      return { target: { input, type: 'internal', host, family: 0 } };
+    }
+
+    if (!host || !this.isValidDomain(host)) {
+      return { error: { error: 'Invalid domain format', domain: input } };
+    }
+
+    // Multi-label internal names (db.corp.local) resolve like single-label ones
+    if (this.isAllowlisted(host)) {
+      return { target: { input, type: 'internal', host, family: 0 } };
+    }
+
+    return {
+      target: {
+        input,
+        type: /[^\x00-\x7f]/.test(trimmed) ? 'idn' : 'domain',
+        host,
+        family: 0
+      }
+    };
+  }
+
+  /**
+   * Multi-label ASCII host: every label 1-63 chars without a leading or
+   * trailing hyphen, an alphabetic (or punycode) TLD, 253 chars in all
+   */
+  static isValidDomain(host) {
+    const labels = host.split('.');
+    const tld = labels.pop();
+    return host.length <= MAX_HOST_LENGTH &&
+      labels.length > 0 &&
+      labels.every(label => labelRegex.test(label)) &&
+      tldRegex.test(tld);
+  }
+
+  /**
+   * Host form traces are stored under (e.g. for history filters)
+   * Falls back to the raw input when it is not a traceable target
+   */
+  static normalize(input) {
+    const { target } = this.parse(input);
+    return target ? target.host : input;
+  }
+
+  /**
+   * Error body when a resolved name points at private, loopback or
+   * link-local addresses that are not allowlisted (an internal name, or a
+   * public one like 127.0.0.1.nip.io), else null. Allowlisted names may
+   * resolve to any address.
+   */
+  static checkResolved(target, addresses) {
+    if (target.type === 'internal' || target.type === 'ip') return null;
+
+    const blocked = addresses.filter(address => IPUtils.isPrivateIP(address) && !this.isAllowlisted(address));
+    if (blocked.length === 0) return null;
+
+    return {
+      error: 'Domain resolves to private addresses that are not allowlisted',
+      domain: target.input,
+      addresses: blocked
+    };
+  }
+
+  /**
+   * Whether a hostname or address is covered by INTERNAL_TARGETS
+   */
+  static isAllowlisted(host) {
+    if (!allowlist) {
+      allowlist = { names: new Set(), ranges: new PrefixTrie() };
+      for (const entry of internalTargets) {
+        if (!allowlist.ranges.insert(entry, true)) allowlist.names.add(entry);
+      }
+    }
+
+    if (IPUtils.family(host)) return Boolean(allowlist.ranges.lookup(host));
+    return allowlist.names.has(host);
+  }
+}
+
+module.exports = TargetUtils;
@@ -0,0 +1,109 @@
+/**
+ * Cable inference on a small synthetic dataset: which cables are reported
+ * for a sea leg and how confidence is shared between candidates.
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// No snapshot download; the dataset below is loaded directly
+process.env.CABLE_OFFLINE = 'true';
+process.env.CABLE_DATASET_PATH = '/nonexistent/submarine-cables.json';
+
+const cableService = require('../src/services/cableService');
+
+const landing = (id, name, lon, lat) => ({
+  properties: { id, name },
+  geometry: { type: 'Point', coordinates: [lon, lat] }
+});
+const cable = (id, name, coordinates) => ({
+  properties: { id, name },
+  geometry: { type: 'LineString', coordinates }
+});
+
+// Two transatlantic cables between Cornwall and New York / New Jersey, and a
+// transpacific cable that passes nowhere near Europe
+const dataset = {
+  version: 'test',
+  fetchedAt: new Date().toISOString(),
+  cables: [
+    cable('atlantic-a', 'Atlantic A', [[-5.55, 50.12], [-40, 45], [-73.95, 40.58]]),
+    cable('atlantic-b', 'Atlantic B', [[-5.55, 50.12], [-45, 48], [-60, 44], [-74.05, 40.2]]),
+    cable('pacific', 'Pacific', [[-118.4, 33.9], [-150, 30], [180, 32], [150, 34], [140.0, 34.97]])
+  ],
+  landingPoints: [
+    landing('bude', 'Bude, United Kingdom', -5.55, 50.12),
+    landing('brooklyn', 'Brooklyn, NY, United States', -73.95, 40.58),
+    landing('wall', 'Wall Township, NJ, United States', -74.05, 40.2),
+    landing('la', 'Los Angeles, CA, United States', -118.4, 33.9),
+    landing('chikura', 'Chikura, Japan', 140.0, 34.97)
+  ]
+};
+
+const hop = (n, lat, lon, country, city, rtt) => ({
+  hop: n, ip: `192.0.2.${n}`, lat, lon, country, city, rtt, samples: [rtt]
+});
+
+test.before(async () => {
+  await cableService.initPromise;
+  cableService.useDataset(dataset, 'test');
+});
+
+test('confidence is each candidate\'s share of the summed scores', () => {
+  const london = hop(1, 51.5, -0.12, 'United Kingdom', 'London', 5);
+  const newYork = hop(2, 40.71, -74.0, 'United States', 'New York', 75);
+
+  const candidates = cableService.inferCables(london, newYork);
+  const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+  assert.deepEqual(candidates.map(candidate => candidate.id).sort(), ['atlantic-a', 'atlantic-b']);
+  for (const candidate of candidates) {
+    assert.equal(candidate.method, 'landing-points');
+    assert.ok(Math.abs(candidate.confidence - candidate.score / total) <= 0.01, candidate.id);
+  }
+  assert.ok(Math.abs(candidates[0].confidence + candidates[1].confidence - 1) <= 0.01);
+});
+
+test('no cable is reported without landing points on both sides', async () => {
+  const london = hop(1, 51.5, -0.12, 'United Kingdom', 'London', 5);
+  const tokyo = hop(2, 35.68, 139.7, 'Japan', 'Tokyo', 230);
+
+  const cables = await cableService.analyzeCableUsage([london, tokyo]);
+
+  assert.deepEqual(cables, []);
+  assert.equal(london.cableUsed, 'Unknown Cable');
+  assert.equal(london.cablePath, null);
+  assert.deepEqual(london.cableCandidates, []);
+});
+
+test('paths across the Pacific are split at the antimeridian', () => {
+  const losAngeles = hop(1, 34.05, -118.24, 'United States', 'Los Angeles', 5);
+  const tokyo = hop(2, 35.68, 139.7, 'Japan', 'Tokyo', 115);
+
+  const [candidate] = cableService.inferCables(losAngeles, tokyo);
+  const path = cableService.cablePath(losAngeles, tokyo, cableService.cablesById.get('pacific'), candidate);
+  const cableLeg = path.features.find(feature => feature.properties.segment === 'cable');
+
+  assert.equal(cableLeg.geometry.type, 'MultiLineString');
+  const [east, west] = cableLeg.geometry.coordinates;
+  // The cable has a vertex on the antimeridian: it ends one part and starts the next
+  assert.deepEqual(east.slice(-2), [[-150, 30], [-180, 32]]);
+  assert.deepEqual(west.slice(0, 2), [[180, 32], [150, 34]]);
+
+  for (const feature of path.features.filter(f => f.geometry.type !== 'Point')) {
+    const lines = feature.geometry.type === 'MultiLineString' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+    for (const [lon] of lines.flat()) assert.ok(lon >= -180 && lon <= 180, `${feature.properties.segment} ${lon}`);
+  }
+});
+
+test('lineFeature splits at ±180 and leaves other lines whole', () => {
+  const feature = cableService.lineFeature([[170, 10], [179.5, 12], [-179.5, 14], [-170, 16]], {});
+  assert.deepEqual(feature.geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[170, 10], [179.5, 12], [180, 13]], [[-180, 13], [-179.5, 14], [-170, 16]]]
+  });
+
+  assert.deepEqual(cableService.lineFeature([[-10, 0], [10, 5]], {}).geometry,
+    { type: 'LineString', coordinates: [[-10, 0], [10, 5]] });
+});
@@ -0,0 +1,195 @@
+/**
+ * Parser corpus: tool output samples in test/fixtures/parsers, one per
+ * format, checked for hops, RTTs and parse warnings.
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Parsing needs no network or cable data
+process.env.CABLE_OFFLINE = 'true';
+
+const tracerouteService = require('../src/services/tracerouteService');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'parsers');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Run a parser over a fixture; returns { hops, warnings }
+ */
+function parse(name, parser) {
+  const warnings = [];
+  const hops = parser(fixture(name), warnings);
+  return { hops, warnings };
+}
+
+// [hop, ip, samples] for compact comparisons
+const summary = hops => hops.map(hop => [hop.hop, hop.ip, hop.samples]);
+
+test('Linux traceroute: ECMP responders, lost probes and timeouts', () => {
+  const { hops, warnings } = parse('linux-traceroute.txt',
+    (output, w) => tracerouteService.parseTracerouteOutput(output, 3, w));
+
+  assert.deepEqual(summary(hops), [
+    [1, '192.168.1.1', [0.512, 0.48, 0.47]],
+    [2, null, []],
+    [3, '62.115.1.2', [12.104, 12.318, 12.207]],
+    [4, '4.69.1.1', [80.012, 80.145]],
+    [5, '8.8.8.8', [81.034, 81.12, 81.208]]
+  ]);
+  assert.equal(hops[1].timeout, true);
+  assert.equal(hops[1].loss, 100);
+  assert.deepEqual(hops[2].responders.map(r => r.ip), ['62.115.1.1', '62.115.1.2']);
+  assert.equal(hops[2].multipath, true);
+  assert.equal(hops[3].loss, 33.3);
+  assert.equal(hops[4].rtt, 81.121);
+  assert.deepEqual(hops[4].rttStats, { min: 81.034, avg: 81.121, max: 81.208, stdev: 0.071, jitter: 0.087 });
+  assert.deepEqual(warnings, []);
+});
+
+test('Linux traceroute -6', () => {
+  const { hops, warnings } = parse('linux-traceroute6.txt',
+    (output, w) => tracerouteService.parseTracerouteOutput(output, 3, w));
+
+  assert.deepEqual(hops.map(hop => hop.ip), [
+    'fe80::1', '2a02:6b8:0:1::1', '2001:4860:0:1::8a1', '2001:4860:4860::8888'
+  ]);
+  assert.equal(hops[0].isPrivate, true);
+  assert.equal(hops[3].rtt, 15.39);
+  assert.deepEqual(warnings, []);
+});
+
+test('BSD / macOS traceroute: unnumbered continuation lines', () => {
+  const { hops, warnings } = parse('bsd-traceroute.txt',
+    (output, w) => tracerouteService.parseTracerouteOutput(output, 3, w));
+
+  assert.deepEqual(summary(hops), [
+    [1, '10.0.0.1', [1.823, 1.411, 1.302]],
+    [2, '100.64.0.5', [8.915, 9.202, 9.118]],
+    [3, null, []],
+    [4, '152.195.65.133', [24.301, 24.118, 24.555]],
+    [5, '93.184.216.34', [24.701, 24.642, 24.588]]
+  ]);
+  assert.deepEqual(hops[1].responders.map(r => [r.ip, r.samples]), [
+    ['100.64.0.1', [8.915]],
+    ['100.64.0.5', [9.202, 9.118]]
+  ]);
+  assert.deepEqual(warnings, [
+    { parser: 'traceroute', line: 8, text: '!H unreachable', reason: 'no address, RTT or lost probe' }
+  ]);
+});
+
+test('mtr --report: ??? hops, extra responders and hostnames', () => {
+  const { hops, warnings } = parse('mtr-report.txt',
+    (output, w) => tracerouteService.parseMtrOutput(output, w));
+
+  assert.deepEqual(hops.map(hop => [hop.hop, hop.ip, hop.rtt, hop.loss]), [
+    [1, '192.168.1.1', 0.6, 0],
+    [2, null, null, 100],
+    [3, '62.115.1.1', 12.2, 0],
+    [5, '8.8.8.8', 81.1, 33.3]
+  ]);
+  assert.deepEqual(hops[0].rttStats, { min: 0.5, avg: 0.6, max: 0.7, stdev: 0.1, jitter: null });
+  assert.equal(hops[1].timeout, true);
+  assert.deepEqual(hops[2].responders.map(r => r.ip), ['62.115.1.1', '62.115.1.2']);
+  assert.equal(hops[2].multipath, true);
+  assert.deepEqual(warnings.map(w => [w.parser, w.line, w.reason]), [
+    ['mtr', 7, 'hostname instead of address (run with --no-dns)']
+  ]);
+});
+
+test('mtr --report: legacy layout without |--', () => {
+  const { hops, warnings } = parse('mtr-report-legacy.txt',
+    (output, w) => tracerouteService.parseMtrOutput(output, w));
+
+  assert.deepEqual(hops.map(hop => [hop.hop, hop.ip, hop.rtt, hop.probes]), [
+    [1, '192.168.1.1', 0.6, 3],
+    [2, '62.115.1.1', 12.2, 3],
+    [3, '8.8.8.8', 81.1, 3]
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('mtr --json: numeric and string hop counts, -b hosts', () => {
+  const { hops, warnings } = parse('mtr.json',
+    (output, w) => tracerouteService.parseMtrOutput(output, w));
+
+  assert.deepEqual(hops.map(hop => [hop.hop, hop.ip, hop.rtt, hop.loss]), [
+    [1, '192.168.1.1', 0.6, 0],
+    [2, null, null, 100],
+    [3, '62.115.1.1', 12.2, 0],
+    [5, '8.8.8.8', 81.1, 33.33]
+  ]);
+  assert.deepEqual(hops[3].rttStats, { min: 81, avg: 81.1, max: 81.2, stdev: 0.1, jitter: null });
+  assert.deepEqual(warnings.map(w => [w.parser, w.line, w.reason]), [
+    ['mtr', 4, 'hostname instead of address (run with --no-dns)']
+  ]);
+});
+
+test('mtr --json: invalid JSON is a warning, not an exception', () => {
+  const warnings = [];
+  const hops = tracerouteService.parseMtrOutput('{"report": ', warnings);
+
+  assert.deepEqual(hops, []);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0].reason, /^invalid JSON/);
+});
+
+test('mtr --raw: per-probe samples, sent counts and responder changes', () => {
+  const { hops, warnings } = parse('mtr-raw.txt',
+    (output, w) => tracerouteService.parseMtrOutput(output, w));
+
+  assert.deepEqual(summary(hops), [
+    [1, '192.168.1.1', [0.512, 0.48]],
+    [2, null, []],
+    [3, '62.115.1.1', [12.104, 12.318]],
+    [4, '8.8.8.8', [81.034, 81.12]]
+  ]);
+  assert.equal(hops[1].probes, 2);
+  assert.equal(hops[1].timeout, true);
+  assert.deepEqual(hops[2].responders.map(r => [r.ip, r.samples]), [
+    ['62.115.1.1', [12.104]],
+    ['62.115.1.2', [12.318]]
+  ]);
+  assert.deepEqual(warnings, [
+    { parser: 'mtr', line: 20, text: 'p 3 oops 33007', reason: 'reply without a round-trip time' }
+  ]);
+});
+
+test('Windows tracert: <1 ms, timeouts and named targets', () => {
+  const { hops, warnings } = parse('tracert.txt',
+    (output, w) => tracerouteService.parseWindowsTracert(output, w));
+
+  assert.deepEqual(summary(hops), [
+    [1, '192.168.1.1', [1, 1, 1]],
+    [2, null, []],
+    [3, '100.64.0.1', [9, 8, 9]],
+    [4, '152.195.65.133', [24, 25]],
+    [5, '93.184.216.34', [25, 24, 24]]
+  ]);
+  assert.equal(hops[3].loss, 33.3);
+  assert.deepEqual(warnings, [
+    { parser: 'tracert', line: 10, text: 'Unable to resolve target system name', reason: 'unrecognized line' }
+  ]);
+});
+
+test('tcptraceroute: banner lines and [open] destination', () => {
+  const { hops, warnings } = parse('tcptraceroute.txt',
+    (output, w) => tracerouteService.parseTcptracerouteOutput(output, 3, w));
+
+  assert.deepEqual(summary(hops), [
+    [1, '192.168.1.1', [0.412, 0.385, 0.371]],
+    [2, null, []],
+    [3, '100.64.0.1', [8.118, 7.963, 8.221]],
+    [4, '93.184.216.34', [24.512, 24.318, 24.701]]
+  ]);
+  assert.deepEqual(warnings, [
+    { parser: 'tcptraceroute', line: 7, text: 'Destination unreachable', reason: 'unrecognized line' }
+  ]);
+});
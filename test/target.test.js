@@ -0,0 +1,55 @@
+/**
+ * Trace target parsing: hostname validation, IDNs and the internal allowlist.
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once by src/config/targets.js
+process.env.INTERNAL_TARGETS = 'nas,db.corp.local,10.1.0.0/16';
+
+const TargetUtils = require('../src/utils/target');
+
+const error = input => TargetUtils.parse(input).error?.error;
+const target = input => TargetUtils.parse(input).target;
+
+test('short and ordinary domains', () => {
+  for (const host of ['x.com', 't.co', 'example.com', 'a.b.c.d.example.org', 'xn--bcher-kva.example']) {
+    assert.deepEqual(target(host), { input: host, type: 'domain', host, family: 0 }, host);
+  }
+  assert.equal(target('Example.COM.').host, 'example.com');
+  assert.deepEqual(target('bücher.de'), { input: 'bücher.de', type: 'idn', host: 'xn--bcher-kva.de', family: 0 });
+});
+
+test('invalid hostnames', () => {
+  const tooLong = `${Array.from({ length: 5 }, () => 'a'.repeat(60)).join('.')}.com`;
+
+  for (const input of ['bad_domain!', '-bad.com', 'bad-.com', 'a..com', `${'a'.repeat(64)}.com`, tooLong, 'example.c0m', 'example.c']) {
+    assert.equal(error(input), 'Invalid domain format', input);
+  }
+  assert.equal(error('  '), 'Domain is required');
+});
+
+test('internal names and private addresses need the allowlist', () => {
+  assert.equal(target('nas').type, 'internal');
+  assert.equal(target('db.corp.local').type, 'internal');
+  assert.equal(error('build01'), 'Internal hostnames can only be traced when allowlisted');
+
+  assert.equal(target('10.1.2.3').type, 'ip');
+  assert.equal(error('10.2.0.1'), 'Private addresses can only be traced when allowlisted');
+  assert.equal(target('[2001:db8::1]').host, '2001:db8::1');
+});
+
+test('public names resolving to private addresses', () => {
+  const nip = target('127.0.0.1.nip.io');
+
+  assert.deepEqual(TargetUtils.checkResolved(nip, ['127.0.0.1', '93.184.216.34']), {
+    error: 'Domain resolves to private addresses that are not allowlisted',
+    domain: '127.0.0.1.nip.io',
+    addresses: ['127.0.0.1']
+  });
+  assert.equal(TargetUtils.checkResolved(nip, ['10.1.0.5']), null);
+  assert.equal(TargetUtils.checkResolved(nip, ['93.184.216.34']), null);
+  assert.equal(TargetUtils.checkResolved(target('nas'), ['192.168.1.2']), null);
+});